@@ -2,31 +2,66 @@ const crypto = require("crypto");
 const { promisify } = require("util");
 const jwt = require("jsonwebtoken");
 const User = require("../models/UserModel");
-const OTP = require("../models/OTPModel");
+const Session = require("../models/SessionModel");
 const catchAsync = require("../utils/catchAsync");
 const AppError = require("../utils/appError");
 const sendEmail = require("../utils/email");
+const { geocodePostcode } = require("../utils/geocoding");
+const { sendPhoneOtp, verifyPhoneOtp } = require("../utils/otp");
+const twoFactor = require("../utils/twoFactor");
+const {
+  sendWelcomeEmail,
+  sendAccountLockedEmail,
+} = require("../utils/notifications");
 const {
   getRelativeFilePath,
   processVendorFiles,
 } = require("../utils/fileUpload");
 
-const signToken = (id) =>
-  jwt.sign({ id }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRES_IN,
+const getAccessTokenMinutes = () =>
+  Number(process.env.ACCESS_TOKEN_EXPIRES_MINUTES) || 15;
+
+// Access tokens are short lived and tied to a session, so revoking the
+// session ends them straight away
+const signToken = (id, sessionId) =>
+  jwt.sign({ id, sid: sessionId }, process.env.JWT_SECRET, {
+    expiresIn: `${getAccessTokenMinutes()}m`,
   });
 
-const createSendToken = (user, statusCode, res) => {
-  const token = signToken(user._id);
-  const cookieOptions = {
-    expires: new Date(
-      Date.now() + process.env.JWT_COOKIE_EXPIRES_IN * 24 * 60 * 60 * 1000
-    ),
-    httpOnly: true,
-  };
+// The refresh token cookie is only sent to the auth routes
+const REFRESH_COOKIE_PATH = "/api/auth";
+
+const setCookie = (res, name, value, expires, path = "/") => {
+  const cookieOptions = { expires, httpOnly: true, path };
   if (process.env.NODE_ENV === "production") cookieOptions.secure = true;
 
-  res.cookie("jwt", token, cookieOptions);
+  res.cookie(name, value, cookieOptions);
+};
+
+const clearAuthCookies = (res) => {
+  res.cookie("jwt", "loggedout", {
+    expires: new Date(Date.now() + 10 * 1000),
+    httpOnly: true,
+  });
+  res.clearCookie("refreshToken", { path: REFRESH_COOKIE_PATH });
+};
+
+const sendTokens = (user, statusCode, session, refreshToken, res) => {
+  const token = signToken(user._id, session._id);
+
+  setCookie(
+    res,
+    "jwt",
+    token,
+    new Date(Date.now() + getAccessTokenMinutes() * 60 * 1000)
+  );
+  setCookie(
+    res,
+    "refreshToken",
+    refreshToken,
+    session.expiresAt,
+    REFRESH_COOKIE_PATH
+  );
 
   // Remove password from output
   user.password = undefined;
@@ -34,9 +69,70 @@ const createSendToken = (user, statusCode, res) => {
   res.status(statusCode).json({
     status: "success",
     token,
+    refreshToken,
     user,
   });
 };
+
+// Start a new session for the device making the request and log it in
+const createSendToken = async (user, statusCode, req, res) => {
+  const { session, refreshToken } = await Session.start(user, req);
+  sendTokens(user, statusCode, session, refreshToken, res);
+};
+
+const getRefreshToken = (req) =>
+  req.cookies.refreshToken || (req.body && req.body.refreshToken);
+
+const DEACTIVATED_MESSAGE =
+  "This account has been deactivated. Please contact support.";
+
+// Fields a new user may set when signing up. Everything else (verification,
+// two-factor, lockout counters, the engineer profile) has its own flow.
+const signupFields = [
+  "username",
+  "email",
+  "password",
+  "passwordConfirm",
+  "role",
+  "phoneNumber",
+  "location",
+];
+
+const getVerificationResendSeconds = () =>
+  Number(process.env.EMAIL_VERIFICATION_RESEND_SECONDS) || 60;
+
+const sendVerificationEmail = async (user) => {
+  const verificationToken = user.createEmailVerificationToken();
+  await user.save({ validateBeforeSave: false });
+
+  const verifyURL = `${process.env.FRONTEND_URL}/verify-email?token=${verificationToken}`;
+
+  await sendEmail({
+    email: user.email,
+    template: "emailVerification",
+    data: { name: user.username, verifyUrl: verifyURL },
+  });
+};
+
+const lockedError = (user) => {
+  const minutes = Math.ceil((user.lockedUntil - Date.now()) / (60 * 1000));
+  return new AppError(
+    `Too many failed login attempts. Please try again in ${minutes} minute(s) or reset your password.`,
+    429
+  );
+};
+
+const recordFailedLogin = async (user) => {
+  const lockedUntil = await user.registerFailedLogin();
+  if (lockedUntil) {
+    sendAccountLockedEmail(
+      user,
+      lockedUntil,
+      Number(process.env.LOGIN_MAX_ATTEMPTS) || 5
+    );
+  }
+};
+
 // SIGNUP CONTROLLERS
 exports.signupUser = async (req, res) => {
   try {
@@ -60,12 +156,23 @@ exports.signupUser = async (req, res) => {
     }
 
     // Create new user with minimal data
-    const newUser = await User.create({
-      ...req.body,
+    const body = {};
+    signupFields.forEach((key) => {
+      if (req.body[key] !== undefined) body[key] = req.body[key];
     });
+    // Admin accounts are only created by promoting an existing user
+    if (body.role === "admin") delete body.role;
+    const newUser = await User.create(body);
+
+    // The account works straight away; the user can ask for another link
+    try {
+      await sendVerificationEmail(newUser);
+    } catch (err) {
+      console.error("Verification email error:", err);
+    }
 
     // Send token and minimal user details
-    createSendToken(newUser, 201, res);
+    await createSendToken(newUser, 201, req, res);
   } catch (err) {
     console.error("User signup error:", err);
     res.status(400).json({
@@ -75,6 +182,15 @@ exports.signupUser = async (req, res) => {
   }
 };
 
+// Accounts with two-factor authentication get a short-lived login token to
+// finish logging in with, instead of a session
+const sendTwoFactorChallenge = (user, res) =>
+  res.status(200).json({
+    status: "success",
+    twoFactorRequired: true,
+    loginToken: twoFactor.signLoginToken(user),
+  });
+
 // LOGIN CONTROLLERS
 exports.login = catchAsync(async (req, res, next) => {
   const { email, password } = req.body;
@@ -87,28 +203,107 @@ exports.login = catchAsync(async (req, res, next) => {
   }
 
   // First, search in User collection
-  let user = await User.findOne({ email }).select("+password");
+  let user = await User.findOne({ email }).select(
+    "+password +failedLoginAttempts +lockoutCount +lockedUntil"
+  );
   let userType = "user";
 
+  // Locked accounts are refused before the password is even checked
+  if (user && user.isLocked()) return next(lockedError(user));
+
   // If still not found, return error
   if (!user || !(await user.correctPassword(password, user.password))) {
+    if (user) await recordFailedLogin(user);
+
     return res.status(401).json({
       status: "fail",
       message: "Incorrect email or password",
     });
   }
 
-  createSendToken(user, 200, res);
+  if (user.active === false) {
+    return next(new AppError(DEACTIVATED_MESSAGE, 403));
+  }
+
+  // Second step: /login/2fa clears the failed attempts and issues the tokens
+  if (user.twoFactorEnabled) return sendTwoFactorChallenge(user, res);
+
+  if (user.failedLoginAttempts || user.lockoutCount) {
+    await user.clearFailedLogins();
+  }
+
+  await createSendToken(user, 200, req, res);
+});
+
+// Finish a two-step login with an authenticator or recovery code. Wrong
+// codes count towards the account lockout like wrong passwords.
+exports.loginTwoFactor = catchAsync(async (req, res, next) => {
+  const userId = twoFactor.verifyLoginToken(req.body.loginToken);
+  const user =
+    userId &&
+    (await User.findById(userId).select(
+      "+failedLoginAttempts +lockoutCount +lockedUntil"
+    ));
+
+  if (!user || !user.twoFactorEnabled) {
+    return next(
+      new AppError("Your login has expired. Please log in again.", 401)
+    );
+  }
+  if (user.active === false) {
+    return next(new AppError(DEACTIVATED_MESSAGE, 403));
+  }
+  if (user.isLocked()) return next(lockedError(user));
+
+  if (!(await twoFactor.verifyCode(user, req.body.code))) {
+    await recordFailedLogin(user);
+    return next(new AppError("Invalid authentication code", 401));
+  }
+
+  if (user.failedLoginAttempts || user.lockoutCount) {
+    await user.clearFailedLogins();
+  }
+
+  await createSendToken(user, 200, req, res);
 });
 
 // EXISTING CONTROLLERS (unchanged)
-exports.logout = (req, res) => {
-  res.cookie("jwt", "loggedout", {
-    expires: new Date(Date.now() + 10 * 1000),
-    httpOnly: true,
-  });
+exports.logout = catchAsync(async (req, res, next) => {
+  // End the session on the server too, when we can tell which one it is
+  const session = await Session.findByRefreshToken(getRefreshToken(req));
+  if (session) await session.revoke("Logged out");
+
+  clearAuthCookies(res);
   res.status(200).json({ status: "success" });
-};
+});
+
+// Swap a refresh token for a new access token and refresh token
+exports.refreshToken = catchAsync(async (req, res, next) => {
+  const result = await Session.rotate(getRefreshToken(req), req);
+
+  if (!result || result.reused) {
+    clearAuthCookies(res);
+    return next(
+      new AppError("Your session has ended. Please log in again.", 401)
+    );
+  }
+
+  const user = await User.findById(result.session.userId);
+  if (!user) {
+    await result.session.revoke("User no longer exists");
+    clearAuthCookies(res);
+    return next(
+      new AppError("The user belonging to this token no longer exists.", 401)
+    );
+  }
+  if (user.active === false) {
+    await result.session.revoke("Account deactivated");
+    clearAuthCookies(res);
+    return next(new AppError(DEACTIVATED_MESSAGE, 401));
+  }
+
+  sendTokens(user, 200, result.session, result.refreshToken, res);
+});
 
 exports.isLoggedIn = async (req, res, next) => {
   if (req.cookies.jwt) {
@@ -127,7 +322,15 @@ exports.isLoggedIn = async (req, res, next) => {
       }
 
       // 3) Check if user changed password after the token was issued
-      if (currentUser.changedPasswordAfter(decoded.iat)) {
+      if (
+        currentUser.changedPasswordAfter(decoded.iat) ||
+        currentUser.active === false
+      ) {
+        return next();
+      }
+
+      // 4) Check the session hasn't been revoked
+      if (!(await Session.findActive(decoded.sid, currentUser._id))) {
         return next();
       }
 
@@ -179,7 +382,35 @@ exports.protect = catchAsync(async (req, res, next) => {
       });
     }
 
+    if (currentUser.active === false) {
+      return res.status(401).json({
+        status: "fail",
+        message: DEACTIVATED_MESSAGE,
+      });
+    }
+
+    // Logged out and revoked sessions stop working straight away
+    const session = await Session.findActive(decoded.sid, currentUser._id);
+    if (!session) {
+      return res.status(401).json({
+        status: "fail",
+        message: "Your session has ended. Please log in again.",
+      });
+    }
+    await session.touch();
+
+    // Users whose role requires two-factor can only set it up until they do
+    if (twoFactor.needsSetup(currentUser) && !req.allowTwoFactorSetup) {
+      return res.status(403).json({
+        status: "fail",
+        message:
+          "Two-factor authentication is required for your account. Please set it up to continue.",
+        twoFactorSetupRequired: true,
+      });
+    }
+
     req.user = currentUser;
+    req.authSession = session;
     next();
   } catch (err) {
     res.status(401).json({
@@ -189,6 +420,12 @@ exports.protect = catchAsync(async (req, res, next) => {
   }
 });
 
+// Mark routes that stay usable before required two-factor is set up
+exports.allowTwoFactorSetup = (req, res, next) => {
+  req.allowTwoFactorSetup = true;
+  next();
+};
+
 exports.restrictTo =
   (...roles) =>
   (req, res, next) => {
@@ -223,8 +460,8 @@ exports.forgotPassword = async (req, res) => {
     try {
       await sendEmail({
         email: user.email,
-        subject: "Your password reset token (valid for 10 min)",
-        message: resetURL,
+        template: "passwordReset",
+        data: { name: user.username, resetUrl: resetURL },
       });
 
       res.status(200).json({
@@ -293,8 +530,11 @@ exports.resetPassword = catchAsync(async (req, res, next) => {
     // Determine user type for token response
     let userType = "user";
 
-    // Log the user in, send JWT
-    createSendToken(user, 200, res);
+    // Sign out everywhere else, then log the user in, send JWT
+    await Session.revokeAll(user._id, "Password reset");
+    await user.clearFailedLogins();
+    if (user.twoFactorEnabled) return sendTwoFactorChallenge(user, res);
+    await createSendToken(user, 200, req, res);
   } catch (err) {
     console.error("Reset password error:", err);
     res.status(400).json({
@@ -354,7 +594,9 @@ exports.updatePassword = catchAsync(async (req, res, next) => {
     user.passwordConfirm = req.body.passwordConfirm;
     await user.save();
 
-    createSendToken(user, 200, res);
+    // Sign out everywhere else
+    await Session.revokeAll(user._id, "Password changed");
+    await createSendToken(user, 200, req, res);
   } catch (err) {
     res.status(400).json({
       status: "fail",
@@ -363,13 +605,20 @@ exports.updatePassword = catchAsync(async (req, res, next) => {
   }
 });
 
+// Load the account for :id into req.targetUser. Admin accounts can't be
+// changed through the user management routes, including by other admins.
 exports.adminProtection = catchAsync(async (req, res, next) => {
   // Check in User collection
   let user = await User.findById(req.params.id);
 
-  if (user && user.role === "Admin") {
-    return next(new AppError(`admin acc can't be changed`, 401));
+  if (!user) {
+    return next(new AppError("No user found with that ID", 404));
   }
+  if (user.role === "admin") {
+    return next(new AppError(`admin acc can't be changed`, 403));
+  }
+
+  req.targetUser = user;
   next();
 });
 
@@ -394,7 +643,22 @@ exports.updateMe = catchAsync(async (req, res, next) => {
       }
     });
 
-    // 3) Update user document
+    // 3) Keep the stored coordinates in line with the postcode
+    if (filteredBody.location && filteredBody.location.zipCode) {
+      filteredBody.location.geo =
+        (await geocodePostcode(filteredBody.location.zipCode)) || undefined;
+    }
+
+    // 4) A new phone number has to be verified again
+    if (
+      filteredBody.phoneNumber !== undefined &&
+      filteredBody.phoneNumber !== req.user.phoneNumber
+    ) {
+      filteredBody.phoneVerified = false;
+      filteredBody.phoneVerifiedAt = null;
+    }
+
+    // 5) Update user document
     const updatedUser = await User.findByIdAndUpdate(
       req.user.id,
       filteredBody,
@@ -424,3 +688,171 @@ exports.updateMe = catchAsync(async (req, res, next) => {
     });
   }
 });
+
+// EMAIL VERIFICATION
+exports.verifyEmail = catchAsync(async (req, res, next) => {
+  const hashedToken = crypto
+    .createHash("sha256")
+    .update(req.params.token)
+    .digest("hex");
+
+  const user = await User.findOne({
+    emailVerificationToken: hashedToken,
+    emailVerificationExpires: { $gt: Date.now() },
+  });
+
+  if (!user) {
+    return next(new AppError("Token is invalid or has expired", 400));
+  }
+
+  user.emailVerified = true;
+  user.emailVerifiedAt = Date.now();
+  user.emailVerificationToken = undefined;
+  user.emailVerificationExpires = undefined;
+  await user.save({ validateBeforeSave: false });
+
+  sendWelcomeEmail(user);
+
+  res.status(200).json({
+    status: "success",
+    message: "Email verified successfully",
+    user,
+  });
+});
+
+exports.resendVerificationEmail = catchAsync(async (req, res, next) => {
+  if (req.user.emailVerified) {
+    return next(new AppError("Your email address is already verified", 400));
+  }
+
+  // Claim the send atomically so parallel requests can't bypass the wait
+  const cutoff = new Date(Date.now() - getVerificationResendSeconds() * 1000);
+  const claimed = await User.updateOne(
+    {
+      _id: req.user._id,
+      $or: [
+        { emailVerificationSentAt: { $lte: cutoff } },
+        { emailVerificationSentAt: null },
+      ],
+    },
+    { emailVerificationSentAt: new Date() }
+  );
+  if (claimed.modifiedCount === 0) {
+    return next(
+      new AppError(
+        "Please wait before requesting another verification email",
+        429
+      )
+    );
+  }
+
+  try {
+    await sendVerificationEmail(req.user);
+  } catch (err) {
+    console.error("Verification email error:", err);
+    return next(
+      new AppError(
+        "There was an error sending the email. Try again later!",
+        500
+      )
+    );
+  }
+
+  res.status(200).json({
+    status: "success",
+    message: "Verification email sent!",
+  });
+});
+
+// Stop customers who haven't confirmed their email address from creating
+// requests or paying when REQUIRE_EMAIL_VERIFICATION is "true". Use after
+// protect.
+exports.requireVerifiedEmail = (req, res, next) => {
+  if (
+    process.env.REQUIRE_EMAIL_VERIFICATION !== "true" ||
+    req.user.role === "admin" ||
+    req.user.emailVerified
+  ) {
+    return next();
+  }
+
+  next(
+    new AppError(
+      "Please verify your email address before doing this. Check your inbox for the link.",
+      403
+    )
+  );
+};
+
+// SESSIONS
+exports.getMySessions = catchAsync(async (req, res, next) => {
+  const sessions = await Session.listActive(req.user._id);
+
+  res.status(200).json({
+    status: "success",
+    results: sessions.length,
+    data: {
+      data: sessions.map((session) => ({
+        ...session.toJSON(),
+        current: String(session._id) === String(req.authSession._id),
+      })),
+    },
+  });
+});
+
+exports.revokeSession = catchAsync(async (req, res, next) => {
+  const session = await Session.findActive(req.params.id, req.user._id);
+
+  if (!session) {
+    return next(new AppError("No session found with that ID", 404));
+  }
+
+  await session.revoke("Revoked by user");
+  if (String(session._id) === String(req.authSession._id)) {
+    clearAuthCookies(res);
+  }
+
+  res.status(204).json({
+    status: "success",
+    data: null,
+  });
+});
+
+// Sign out of every device; ?keepCurrent=true keeps this one signed in
+exports.revokeAllSessions = catchAsync(async (req, res, next) => {
+  const keepCurrent = req.query.keepCurrent === "true";
+
+  await Session.revokeAll(
+    req.user._id,
+    "Revoked by user",
+    keepCurrent ? req.authSession._id : undefined
+  );
+  if (!keepCurrent) clearAuthCookies(res);
+
+  res.status(204).json({
+    status: "success",
+    data: null,
+  });
+});
+
+// PHONE VERIFICATION
+exports.sendPhoneOTP = catchAsync(async (req, res, next) => {
+  const { expiresAt, resendAvailableAt } = await sendPhoneOtp(req.user);
+
+  res.status(200).json({
+    status: "success",
+    message: "Verification code sent to your phone",
+    expiresAt,
+    resendAvailableAt,
+  });
+});
+
+exports.verifyPhoneOTP = catchAsync(async (req, res, next) => {
+  const user = await verifyPhoneOtp(req.user, req.body.code);
+
+  res.status(200).json({
+    status: "success",
+    message: "Phone number verified successfully",
+    user,
+  });
+});
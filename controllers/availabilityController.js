@@ -0,0 +1,38 @@
+const catchAsync = require("../utils/catchAsync");
+const AppError = require("../utils/appError");
+const scheduling = require("../utils/scheduling");
+
+// Query parameters that must be given at most once
+const SINGLE_VALUE_PARAMS = ["from", "to", "skill", "postcode", "duration"];
+
+exports.getSlots = catchAsync(async (req, res, next) => {
+  const { from, to, skill, postcode, duration } = req.query;
+
+  if (!from) {
+    return next(new AppError("Please provide a from date", 400));
+  }
+
+  const repeated = SINGLE_VALUE_PARAMS.find(
+    (param) =>
+      req.query[param] !== undefined && typeof req.query[param] !== "string"
+  );
+  if (repeated) {
+    return next(new AppError(`Please provide a single ${repeated}`, 400));
+  }
+
+  const slots = await scheduling.getBookableSlots({
+    from,
+    to,
+    skill,
+    postcode,
+    duration,
+  });
+
+  res.status(200).json({
+    status: "success",
+    results: slots.length,
+    data: {
+      data: slots,
+    },
+  });
+});
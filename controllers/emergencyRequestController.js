@@ -0,0 +1,527 @@
+const EmergencyRequest = require("../models/EmergencyRequestModel");
+const User = require("../models/UserModel");
+const factory = require("./handlerFactory");
+const catchAsync = require("../utils/catchAsync");
+const AppError = require("../utils/appError");
+const engineerMatching = require("../utils/engineerMatching");
+const scheduling = require("../utils/scheduling");
+const { assertTransition } = require("../utils/requestStatus");
+const {
+  deleteFile,
+  getRelativeFilePath,
+  getThumbnailPath,
+} = require("../utils/fileUpload");
+
+// Fields a customer is allowed to set when creating a request
+const customerFields = [
+  "title",
+  "description",
+  "skillsNeeded",
+  "priority",
+  "preferredTime",
+  "location",
+  "notes",
+];
+
+const filterBody = (body, allowedFields) => {
+  const filtered = {};
+  Object.keys(body).forEach((key) => {
+    if (allowedFields.includes(key)) filtered[key] = body[key];
+  });
+  return filtered;
+};
+
+const idOf = (ref) => (ref && ref._id ? ref._id : ref);
+
+const canAccess = (user, request) => {
+  if (user.role === "admin") return true;
+  if (user.role === "customer") {
+    return String(idOf(request.customerId)) === String(user._id);
+  }
+  if (user.role === "engineer") {
+    return String(idOf(request.engineerId)) === String(user._id);
+  }
+  return false;
+};
+
+// Limit listings to the requests the current user is involved in
+exports.scopeToUser = (req, res, next) => {
+  if (req.user.role === "customer") req.filter = { customerId: req.user.id };
+  if (req.user.role === "engineer") req.filter = { engineerId: req.user.id };
+  next();
+};
+
+// Load the request for :id and make sure the current user may act on it
+exports.loadRequest = catchAsync(async (req, res, next) => {
+  const request = await EmergencyRequest.findById(req.params.id);
+
+  if (!request || !canAccess(req.user, request)) {
+    return next(new AppError("No emergency request found with that ID", 404));
+  }
+
+  req.emergencyRequest = request;
+  next();
+});
+
+exports.prepareCreate = (req, res, next) => {
+  if (req.user.role === "admin") {
+    if (!req.body.customerId) req.body.customerId = req.user.id;
+    return next();
+  }
+
+  req.body = filterBody(req.body, customerFields);
+  req.body.customerId = req.user.id;
+  if (!req.body.location || !req.body.location.zipCode) {
+    req.body.location = {
+      address: req.user.location.address,
+      zipCode: req.user.location.zipCode,
+    };
+  }
+  next();
+};
+
+// Fields that must go through their own endpoints, so that status changes
+// are recorded in statusHistory and engineers' time is reserved
+const lifecycleFields = {
+  status: "/:id/status",
+  statusHistory: "/:id/status",
+  engineerId: "/:id/assign",
+  scheduledDate: "/:id/schedule",
+};
+
+exports.blockStatusEdits = (req, res, next) => {
+  const field = Object.keys(lifecycleFields).find(
+    (key) => req.body[key] !== undefined
+  );
+
+  if (field) {
+    return next(
+      new AppError(
+        `${field} cannot be changed here. Please use ${lifecycleFields[field]}.`,
+        400
+      )
+    );
+  }
+  next();
+};
+
+exports.getAllEmergencyRequests = factory.getAll(EmergencyRequest);
+exports.updateEmergencyRequest = factory.updateOne(EmergencyRequest);
+exports.deleteEmergencyRequest = factory.deleteOne(EmergencyRequest);
+
+exports.createEmergencyRequest = catchAsync(async (req, res, next) => {
+  const doc = await EmergencyRequest.createBy(req.body, req.user);
+
+  // Critical jobs can be dispatched straight away to the best free match
+  if (
+    doc.priority === "critical" &&
+    process.env.AUTO_ASSIGN_CRITICAL === "true"
+  ) {
+    try {
+      await engineerMatching.autoAssign(doc);
+    } catch (err) {
+      // The request is still created; a dispatcher can assign it manually
+      console.error("Auto-assign error:", err);
+    }
+  }
+
+  res.status(201).json({
+    status: "success",
+    data: {
+      data: doc,
+    },
+  });
+});
+
+exports.getEmergencyRequest = catchAsync(async (req, res, next) => {
+  const doc = await req.emergencyRequest.populate([
+    { path: "customerId", select: "username email phoneNumber location" },
+    { path: "engineerId", select: "username email phoneNumber" },
+  ]);
+
+  res.status(200).json({
+    status: "success",
+    data: {
+      data: doc,
+    },
+  });
+});
+
+exports.getMyRequests = catchAsync(async (req, res, next) => {
+  const docs = await EmergencyRequest.findByCustomer(req.user.id);
+
+  res.status(200).json({
+    status: "success",
+    results: docs.length,
+    data: {
+      data: docs,
+    },
+  });
+});
+
+exports.getMyJobs = catchAsync(async (req, res, next) => {
+  const docs = await EmergencyRequest.findByEngineer(req.user.id);
+
+  res.status(200).json({
+    status: "success",
+    results: docs.length,
+    data: {
+      data: docs,
+    },
+  });
+});
+
+exports.getStats = catchAsync(async (req, res, next) => {
+  const [stats] = await EmergencyRequest.getDashboardStats();
+
+  res.status(200).json({
+    status: "success",
+    data: {
+      data: stats || { total: 0, statusCounts: [] },
+    },
+  });
+});
+
+exports.assignEngineer = catchAsync(async (req, res, next) => {
+  const { engineerId } = req.body;
+
+  if (!engineerId) {
+    return next(new AppError("Please provide an engineerId", 400));
+  }
+
+  const engineer = await User.findById(engineerId);
+  if (!engineer || engineer.role !== "engineer") {
+    return next(new AppError("No engineer found with that ID", 404));
+  }
+  if (!engineer.isDispatchable()) {
+    return next(
+      new AppError(
+        "This engineer cannot take jobs at the moment (not approved, verified and active, or a credential has lapsed)",
+        409
+      )
+    );
+  }
+
+  // Reserve the new engineer's time before committing to the assignment
+  const request = req.emergencyRequest;
+  const scheduledDate = req.body.scheduledDate || request.scheduledDate;
+  let booking;
+  if (scheduledDate) {
+    assertTransition(request.status, "assigned", req.user.role);
+    booking = await scheduling.reserveSlot(
+      request,
+      engineer,
+      scheduledDate,
+      request.estimatedDuration
+    );
+    request.scheduledDate = scheduledDate;
+  }
+
+  let doc;
+  try {
+    doc = await request.assignEngineer(engineer._id, req.user, req.body.reason);
+  } catch (err) {
+    // Don't hold the engineer's time for a job they didn't get
+    if (booking) await scheduling.releaseBooking(booking);
+    throw err;
+  }
+
+  res.status(200).json({
+    status: "success",
+    data: {
+      data: doc,
+    },
+  });
+});
+
+exports.startWork = catchAsync(async (req, res, next) => {
+  const doc = await req.emergencyRequest.startWork(req.user);
+
+  res.status(200).json({
+    status: "success",
+    data: {
+      data: doc,
+    },
+  });
+});
+
+exports.markCompleted = catchAsync(async (req, res, next) => {
+  const doc = await req.emergencyRequest.markCompleted(
+    req.body.actualCost,
+    req.body.notes,
+    req.user
+  );
+
+  res.status(200).json({
+    status: "success",
+    data: {
+      data: doc,
+    },
+  });
+});
+
+exports.cancelRequest = catchAsync(async (req, res, next) => {
+  const doc = await req.emergencyRequest.cancelRequest(
+    req.body.reason,
+    req.user
+  );
+
+  res.status(200).json({
+    status: "success",
+    data: {
+      data: doc,
+    },
+  });
+});
+
+exports.unassignEngineer = catchAsync(async (req, res, next) => {
+  const doc = await req.emergencyRequest.unassignEngineer(
+    req.user,
+    req.body.reason
+  );
+
+  res.status(200).json({
+    status: "success",
+    data: {
+      data: doc,
+    },
+  });
+});
+
+exports.changeStatus = catchAsync(async (req, res, next) => {
+  const { status, reason } = req.body;
+
+  if (!status) {
+    return next(new AppError("Please provide a status", 400));
+  }
+  if (status === "assigned") {
+    return next(
+      new AppError("Please use /:id/assign to assign an engineer", 400)
+    );
+  }
+
+  const request = req.emergencyRequest;
+  request.transitionTo(status, req.user, reason);
+  if (status === "pending") request.engineerId = null;
+  if (status === "completed") request.completedDate = new Date();
+  const doc = await request.save();
+
+  res.status(200).json({
+    status: "success",
+    data: {
+      data: doc,
+    },
+  });
+});
+
+exports.getStatusHistory = catchAsync(async (req, res, next) => {
+  await req.emergencyRequest.populate(
+    "statusHistory.changedBy",
+    "username email role"
+  );
+
+  res.status(200).json({
+    status: "success",
+    results: req.emergencyRequest.statusHistory.length,
+    data: {
+      data: req.emergencyRequest.statusHistory,
+    },
+  });
+});
+
+exports.getMatches = catchAsync(async (req, res, next) => {
+  const request = await req.emergencyRequest.populate(
+    "customerId",
+    "username location"
+  );
+  const matches = await engineerMatching.rankEngineers(request, {
+    limit: req.query.limit * 1 || 10,
+  });
+
+  res.status(200).json({
+    status: "success",
+    results: matches.length,
+    data: {
+      data: matches.map((match) => ({
+        ...match,
+        engineer: {
+          _id: match.engineer._id,
+          username: match.engineer.username,
+          email: match.engineer.email,
+          phoneNumber: match.engineer.phoneNumber,
+          engineerProfile: match.engineer.engineerProfile,
+        },
+      })),
+    },
+  });
+});
+
+exports.autoAssignEngineer = catchAsync(async (req, res, next) => {
+  const match = await engineerMatching.autoAssign(req.emergencyRequest);
+
+  if (!match) {
+    return next(
+      new AppError("No suitable engineer is free for this request", 409)
+    );
+  }
+
+  res.status(200).json({
+    status: "success",
+    data: {
+      data: req.emergencyRequest,
+      reasons: match.reasons,
+    },
+  });
+});
+
+exports.scheduleRequest = catchAsync(async (req, res, next) => {
+  const request = req.emergencyRequest;
+  const { scheduledDate, estimatedDuration } = req.body;
+
+  if (!scheduledDate) {
+    return next(new AppError("Please provide a scheduledDate", 400));
+  }
+  if (!["assigned", "in-progress"].includes(request.status)) {
+    return next(
+      new AppError(
+        "Only assigned or in-progress requests can be scheduled",
+        409
+      )
+    );
+  }
+
+  const engineer = await User.findById(request.engineerId);
+  if (estimatedDuration !== undefined) {
+    request.estimatedDuration = estimatedDuration;
+  }
+  await scheduling.reserveSlot(
+    request,
+    engineer,
+    scheduledDate,
+    request.estimatedDuration
+  );
+
+  request.scheduledDate = scheduledDate;
+  const doc = await request.save();
+
+  res.status(200).json({
+    status: "success",
+    data: {
+      data: doc,
+    },
+  });
+});
+
+const { MAX_PHOTOS } = EmergencyRequest;
+
+const removePhotoFiles = (photo) => {
+  deleteFile(photo.url);
+  deleteFile(photo.thumbnailUrl);
+};
+
+// Photos can only change before an engineer takes the job. Runs before the
+// upload so nothing is stored for a request that can't take it.
+exports.checkPhotosEditable = (req, res, next) => {
+  const request = req.emergencyRequest;
+
+  if (request.status !== "pending") {
+    return next(
+      new AppError(
+        "Photos can only be changed while the request is pending",
+        409
+      )
+    );
+  }
+  next();
+};
+
+// Attach photos uploaded in the `images` field (multipart/form-data)
+exports.addPhotos = catchAsync(async (req, res, next) => {
+  const request = req.emergencyRequest;
+  const photos = (req.files || []).map((file) => ({
+    url: getRelativeFilePath(file),
+    thumbnailUrl: getThumbnailPath(file),
+    width: file.width,
+    height: file.height,
+    size: file.size,
+    uploadedBy: req.user._id,
+  }));
+
+  if (photos.length === 0) {
+    return next(
+      new AppError("Please upload at least one photo as images", 400)
+    );
+  }
+
+  const free = MAX_PHOTOS - request.photos.length;
+  if (photos.length > free) {
+    photos.forEach(removePhotoFiles);
+    return next(
+      new AppError(
+        `A request can have up to ${MAX_PHOTOS} photos. You can add ${free} more.`,
+        400
+      )
+    );
+  }
+
+  // Still pending and still room, in case of concurrent changes
+  const doc = await EmergencyRequest.findOneAndUpdate(
+    {
+      _id: request._id,
+      status: "pending",
+      [`photos.${MAX_PHOTOS - photos.length}`]: { $exists: false },
+    },
+    { $push: { photos: { $each: photos } } },
+    { new: true }
+  );
+
+  if (!doc) {
+    photos.forEach(removePhotoFiles);
+    return next(
+      new AppError(
+        "The request changed while uploading. Please try again.",
+        409
+      )
+    );
+  }
+
+  res.status(201).json({
+    status: "success",
+    data: {
+      data: doc,
+    },
+  });
+});
+
+exports.removePhoto = catchAsync(async (req, res, next) => {
+  const request = req.emergencyRequest;
+  const photo = request.photos.id(req.params.photoId);
+
+  if (!photo) {
+    return next(new AppError("No photo found with that ID", 404));
+  }
+
+  const doc = await EmergencyRequest.findOneAndUpdate(
+    { _id: request._id, status: "pending" },
+    { $pull: { photos: { _id: photo._id } } },
+    { new: true }
+  );
+
+  if (!doc) {
+    return next(
+      new AppError(
+        "Photos can only be changed while the request is pending",
+        409
+      )
+    );
+  }
+
+  removePhotoFiles(photo);
+
+  res.status(200).json({
+    status: "success",
+    data: {
+      data: doc,
+    },
+  });
+});
@@ -0,0 +1,220 @@
+const EngineerApplication = require("../models/EngineerApplicationModel");
+const User = require("../models/UserModel");
+const factory = require("./handlerFactory");
+const catchAsync = require("../utils/catchAsync");
+const AppError = require("../utils/appError");
+const {
+  getRelativeFilePath,
+  deleteFile,
+  processVendorFiles,
+} = require("../utils/fileUpload");
+const { sendApplicationEmail } = require("../utils/notifications");
+
+const { DOCUMENT_FIELDS } = EngineerApplication;
+
+const removeUploads = (files) => {
+  Object.values(files || {})
+    .flat()
+    .forEach((file) => deleteFile(getRelativeFilePath(file)));
+};
+
+const removeDocuments = (documents) => {
+  DOCUMENT_FIELDS.forEach((field) => {
+    [].concat(documents[field] || []).forEach(deleteFile);
+  });
+};
+
+// The uploaded application documents. Files sent under any other field
+// name are deleted straight away.
+const takeDocuments = (files) => {
+  const unused = {};
+  Object.keys(files || {}).forEach((field) => {
+    if (!DOCUMENT_FIELDS.includes(field)) unused[field] = files[field];
+  });
+  removeUploads(unused);
+
+  const processed = processVendorFiles(files);
+  return Object.fromEntries(
+    DOCUMENT_FIELDS.filter((field) => processed[field] !== undefined).map(
+      (field) => [field, processed[field]]
+    )
+  );
+};
+
+// Save the application, deleting this request's uploads if it fails
+const saveWithUploads = async (application, files) => {
+  try {
+    return await application.save();
+  } catch (err) {
+    removeUploads(files);
+    throw err;
+  }
+};
+
+exports.getMyApplication = catchAsync(async (req, res, next) => {
+  const application = await EngineerApplication.findOne({
+    engineerId: req.user._id,
+  });
+
+  if (!application) {
+    return next(new AppError("You haven't applied yet", 404));
+  }
+
+  res.status(200).json({
+    status: "success",
+    data: {
+      data: application,
+    },
+  });
+});
+
+exports.submitApplication = catchAsync(async (req, res, next) => {
+  if (await EngineerApplication.exists({ engineerId: req.user._id })) {
+    removeUploads(req.files);
+    return next(
+      new AppError(
+        "You have already applied. Update your existing application instead.",
+        409
+      )
+    );
+  }
+
+  const application = new EngineerApplication({
+    engineerId: req.user._id,
+    documents: takeDocuments(req.files),
+    notes: req.body.notes,
+  });
+  application.recordStatus("submitted", req.user);
+  const doc = await saveWithUploads(application, req.files);
+
+  sendApplicationEmail(doc, req.user);
+
+  res.status(201).json({
+    status: "success",
+    data: {
+      data: doc,
+    },
+  });
+});
+
+// Replace documents or notes. An application sent back for changes goes
+// into the review queue again.
+exports.updateMyApplication = catchAsync(async (req, res, next) => {
+  const application = await EngineerApplication.findOne({
+    engineerId: req.user._id,
+  });
+
+  if (!application) {
+    removeUploads(req.files);
+    return next(new AppError("You haven't applied yet", 404));
+  }
+  if (!application.isEditable()) {
+    removeUploads(req.files);
+    return next(
+      new AppError(
+        `An ${application.status} application cannot be changed`,
+        409
+      )
+    );
+  }
+
+  const documents = takeDocuments(req.files);
+  const replaced = {};
+  Object.keys(documents).forEach((field) => {
+    replaced[field] = application.documents[field];
+    application.documents[field] = documents[field];
+  });
+  if (req.body.notes !== undefined) application.notes = req.body.notes;
+
+  const resubmitted = application.status === "changes_requested";
+  if (resubmitted) application.recordStatus("submitted", req.user);
+
+  const doc = await saveWithUploads(application, req.files);
+  removeDocuments(replaced);
+
+  if (resubmitted) sendApplicationEmail(doc, req.user);
+
+  res.status(200).json({
+    status: "success",
+    data: {
+      data: doc,
+    },
+  });
+});
+
+exports.getAllApplications = factory.getAll(EngineerApplication);
+exports.getApplication = factory.getOne(EngineerApplication, {
+  path: "engineerId",
+  select: "username email phoneNumber location engineerProfile",
+});
+
+/**
+ * Admin decision on a submitted application: "approved", "rejected" or
+ * "changes_requested". A comment is required unless approving. Approval also
+ * marks the engineer's Gas Safe details as verified, so they can be offered
+ * jobs.
+ */
+const review = (decision) =>
+  catchAsync(async (req, res, next) => {
+    const comment = req.body.comment && String(req.body.comment).trim();
+    const application = await EngineerApplication.findById(req.params.id);
+
+    if (!application) {
+      return next(new AppError("No application found with that ID", 404));
+    }
+    if (application.status !== "submitted") {
+      return next(
+        new AppError("Only submitted applications can be reviewed", 409)
+      );
+    }
+    if (decision !== "approved" && !comment) {
+      return next(
+        new AppError("Please explain the decision in a comment", 400)
+      );
+    }
+
+    const engineer = await User.findById(application.engineerId);
+    if (!engineer) {
+      return next(new AppError("The applicant no longer exists", 404));
+    }
+
+    if (decision === "approved") {
+      if (!engineer.hasValidGasSafe()) {
+        return next(
+          new AppError(
+            "Engineer needs a Gas Safe registration number with a future expiry date before being approved",
+            400
+          )
+        );
+      }
+
+      await User.updateOne(
+        { _id: engineer._id },
+        {
+          $set: {
+            "engineerProfile.approved": true,
+            "engineerProfile.approvedAt": new Date(),
+            "engineerProfile.verified": true,
+            "engineerProfile.verifiedAt": new Date(),
+            "engineerProfile.verifiedBy": req.user._id,
+          },
+        }
+      );
+    }
+
+    application.recordStatus(decision, req.user, comment);
+    const doc = await application.save();
+
+    sendApplicationEmail(doc, engineer, comment);
+
+    res.status(200).json({
+      status: "success",
+      data: {
+        data: doc,
+      },
+    });
+  });
+
+exports.approveApplication = review("approved");
+exports.rejectApplication = review("rejected");
+exports.requestChanges = review("changes_requested");
@@ -0,0 +1,163 @@
+const User = require("../models/UserModel");
+const factory = require("./handlerFactory");
+const catchAsync = require("../utils/catchAsync");
+const AppError = require("../utils/appError");
+const { findUpcomingExpiries } = require("../utils/credentialExpiry");
+
+// Profile fields an engineer may edit themselves
+const editableProfileFields = [
+  "skills",
+  "serviceAreas",
+  "hourlyRate",
+  "firstHourRate",
+  "gasSafe",
+  "insurance",
+  "workingHours",
+  "timeOff",
+  "isActive",
+];
+
+// Credential details are updated one by one, keeping any not being changed
+const credentialFields = {
+  gasSafe: ["registrationNumber", "expiryDate"],
+  insurance: ["provider", "policyNumber", "expiryDate"],
+};
+
+exports.setEngineerFilter = (req, res, next) => {
+  req.filter = { role: "engineer" };
+  next();
+};
+
+exports.getAllEngineers = factory.getAll(User);
+
+exports.getEngineer = catchAsync(async (req, res, next) => {
+  const engineer = await User.findOne({ _id: req.params.id, role: "engineer" });
+
+  if (!engineer) {
+    return next(new AppError("No engineer found with that ID", 404));
+  }
+
+  res.status(200).json({
+    status: "success",
+    data: {
+      data: engineer,
+    },
+  });
+});
+
+exports.getMyProfile = (req, res) => {
+  res.status(200).json({
+    status: "success",
+    engineerProfile: req.user.engineerProfile || null,
+  });
+};
+
+exports.updateMyProfile = catchAsync(async (req, res, next) => {
+  const update = {};
+
+  editableProfileFields.forEach((key) => {
+    if (req.body[key] === undefined) return;
+
+    if (credentialFields[key]) {
+      const details = req.body[key] || {};
+      credentialFields[key].forEach((field) => {
+        if (details[field] !== undefined) {
+          update[`engineerProfile.${key}.${field}`] = details[field];
+        }
+      });
+      return;
+    }
+
+    update[`engineerProfile.${key}`] = req.body[key];
+  });
+
+  if (Object.keys(update).length === 0) {
+    return next(
+      new AppError(
+        `Please provide at least one of: ${editableProfileFields.join(", ")}`,
+        400
+      )
+    );
+  }
+
+  // Changed credentials have to be checked again by an admin
+  if (
+    Object.keys(credentialFields).some((key) => req.body[key] !== undefined)
+  ) {
+    update["engineerProfile.verified"] = false;
+    update["engineerProfile.verifiedAt"] = null;
+    update["engineerProfile.verifiedBy"] = null;
+  }
+
+  const updatedUser = await User.findByIdAndUpdate(
+    req.user.id,
+    { $set: update },
+    {
+      new: true,
+      runValidators: true,
+    }
+  );
+
+  res.status(200).json({
+    status: "success",
+    message: "Engineer profile updated successfully",
+    engineerProfile: updatedUser.engineerProfile,
+  });
+});
+
+exports.verifyEngineer = catchAsync(async (req, res, next) => {
+  const verified = req.body.verified !== false;
+  const engineer = await User.findOne({ _id: req.params.id, role: "engineer" });
+
+  if (!engineer) {
+    return next(new AppError("No engineer found with that ID", 404));
+  }
+
+  if (verified && !engineer.hasValidGasSafe()) {
+    return next(
+      new AppError(
+        "Engineer needs a Gas Safe registration number with a future expiry date before being verified",
+        400
+      )
+    );
+  }
+
+  const updatedEngineer = await User.findByIdAndUpdate(
+    engineer._id,
+    {
+      $set: {
+        "engineerProfile.verified": verified,
+        "engineerProfile.verifiedAt": verified ? new Date() : null,
+        "engineerProfile.verifiedBy": verified ? req.user._id : null,
+      },
+    },
+    { new: true }
+  );
+
+  res.status(200).json({
+    status: "success",
+    data: {
+      data: updatedEngineer,
+    },
+  });
+});
+
+// Credentials expiring in the next `days` days (30 by default) and any that
+// have already lapsed, soonest first
+exports.getCredentialExpiries = catchAsync(async (req, res, next) => {
+  const days = req.query.days === undefined ? 30 : Number(req.query.days);
+
+  if (!Number.isInteger(days) || days < 0 || days > 365) {
+    return next(new AppError("days must be a whole number up to 365", 400));
+  }
+
+  const expiries = await findUpcomingExpiries(new Date(), days);
+
+  res.status(200).json({
+    status: "success",
+    results: expiries.length,
+    data: {
+      data: expiries,
+    },
+  });
+});
@@ -0,0 +1,54 @@
+const path = require("path");
+const catchAsync = require("../utils/catchAsync");
+const AppError = require("../utils/appError");
+const storage = require("../utils/storage");
+const { verify } = require("../utils/storage/signing");
+
+// A short-lived link to a private file, for its owner or an admin
+exports.getDownloadUrl = catchAsync(async (req, res, next) => {
+  const key = storage.parsePrivateKey(req.query.key);
+
+  if (!key) {
+    return next(new AppError("Please provide the key of a private file", 400));
+  }
+  if (req.user.role !== "admin" && storage.getOwnerId(key) !== req.user.id) {
+    return next(
+      new AppError("You do not have permission to access this file", 403)
+    );
+  }
+
+  const { url, expiresAt } = await storage.signedUrl(key);
+
+  res.status(200).json({
+    status: "success",
+    data: {
+      url,
+      expiresAt,
+    },
+  });
+});
+
+// Serves the links signed by the local driver. No login needed: the
+// signature is the permission.
+exports.download = catchAsync(async (req, res, next) => {
+  const { key, expires, signature } = req.query;
+
+  if (!storage.parsePrivateKey(key) || !verify(key, expires, signature)) {
+    return next(
+      new AppError("This download link is invalid or has expired", 403)
+    );
+  }
+
+  const file = await storage.getDriver().read(key);
+  if (!file) {
+    return next(new AppError("File not found", 404));
+  }
+
+  res.attachment(path.posix.basename(key));
+  if (file.contentType) res.type(file.contentType);
+  if (file.size !== undefined) res.set("Content-Length", String(file.size));
+  res.set("Cache-Control", "private, no-store");
+
+  file.stream.on("error", next);
+  file.stream.pipe(res);
+});
@@ -32,7 +32,6 @@ exports.updateOne = (Model) =>
   catchAsync(async (req, res, next) => {
     const doc = await Model.findByIdAndUpdate(
       req.params.id,
-      req.body,
       { $set: req.body },
       {
         new: true,
@@ -83,17 +82,21 @@ exports.getOne = (Model, popOptions) =>
 
 exports.getAll = (Model) =>
   catchAsync(async (req, res, next) => {
-    // let filter = {};
-    // if (req.params.tourId) filter = { tour: req.params.tourId };
+    // Routes can scope the listing (e.g. to the current user) via req.filter.
+    // It is added after the query string filters so they can only narrow it.
+    const scope = (features) => {
+      if (req.filter) features.query = features.query.and([req.filter]);
+      return features;
+    };
 
-    const features = new APIFeatures(Model.find(), req.query)
-      .filter()
+    const features = scope(new APIFeatures(Model.find(), req.query).filter())
+      .near()
       .sort()
       .limitFields()
       .paginate();
 
-    const filtered = new APIFeatures(Model.find(), req.query)
-      .filter()
+    const filtered = scope(new APIFeatures(Model.find(), req.query).filter())
+      .near()
       .countDocs();
     const doc = await features.query;
     const results = await filtered.query;
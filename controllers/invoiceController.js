@@ -0,0 +1,227 @@
+const Invoice = require("../models/InvoiceModel");
+const EmergencyRequest = require("../models/EmergencyRequestModel");
+const CreditNote = require("../models/CreditNoteModel");
+const factory = require("./handlerFactory");
+const catchAsync = require("../utils/catchAsync");
+const AppError = require("../utils/appError");
+const { refundInvoice } = require("../utils/refunds");
+const { runInvoiceReminders } = require("../utils/invoiceReminders");
+const { renderInvoicePdf, pdfFilename } = require("../utils/invoicePdf");
+const { sendInvoiceIssuedEmail } = require("../utils/notifications");
+
+// Fields an admin may change on a draft invoice
+const editableFields = [
+  "amount",
+  "currency",
+  "entity",
+  "lineItems",
+  "discount",
+  "paymentTermsDays",
+];
+
+const idOf = (ref) => (ref && ref._id ? ref._id : ref);
+
+const canAccess = (user, invoice) => {
+  if (user.role === "admin") return true;
+  if (user.role === "customer") {
+    return (
+      invoice.status !== "draft" &&
+      String(idOf(invoice.customerId)) === String(user._id)
+    );
+  }
+  if (user.role === "engineer") {
+    return String(idOf(invoice.engineerId)) === String(user._id);
+  }
+  return false;
+};
+
+// Limit listings to the invoices the current user is involved in.
+// Customers only see invoices once they have been issued. getAll adds this
+// on top of the query string, so ?customerId= or ?status=draft can't widen it.
+exports.scopeToUser = (req, res, next) => {
+  if (req.user.role === "customer") {
+    req.filter = { customerId: req.user.id, status: { $ne: "draft" } };
+  }
+  if (req.user.role === "engineer") req.filter = { engineerId: req.user.id };
+  next();
+};
+
+// Load the invoice for :id and make sure the current user may see it
+exports.loadInvoice = catchAsync(async (req, res, next) => {
+  const invoice = await Invoice.findById(req.params.id);
+
+  if (!invoice || !canAccess(req.user, invoice)) {
+    return next(new AppError("No invoice found with that ID", 404));
+  }
+
+  req.invoice = invoice;
+  next();
+});
+
+exports.getAllInvoices = factory.getAll(Invoice);
+
+exports.getInvoice = catchAsync(async (req, res, next) => {
+  const doc = await req.invoice.populateDetails();
+
+  res.status(200).json({
+    status: "success",
+    data: {
+      data: doc,
+    },
+  });
+});
+
+exports.getInvoicePdf = catchAsync(async (req, res, next) => {
+  const invoice = await req.invoice.populateDetails();
+  const pdf = await renderInvoicePdf(invoice);
+
+  res.set({
+    "Content-Type": "application/pdf",
+    "Content-Disposition": `attachment; filename="${pdfFilename(invoice)}"`,
+    "Content-Length": pdf.length,
+  });
+  res.status(200).send(pdf);
+});
+
+exports.createInvoice = catchAsync(async (req, res, next) => {
+  const { jobId } = req.body;
+
+  if (!jobId) {
+    return next(new AppError("Please provide the jobId to invoice", 400));
+  }
+
+  const request = await EmergencyRequest.findById(jobId);
+  if (!request) {
+    return next(new AppError("No emergency request found with that ID", 404));
+  }
+  if (request.status !== "completed") {
+    return next(
+      new AppError("Only completed emergency requests can be invoiced", 409)
+    );
+  }
+  if (await Invoice.exists({ jobId: request._id })) {
+    return next(
+      new AppError("An invoice already exists for this emergency request", 409)
+    );
+  }
+
+  const doc = await Invoice.createForRequest(request);
+
+  res.status(201).json({
+    status: "success",
+    data: {
+      data: doc,
+    },
+  });
+});
+
+exports.updateInvoice = catchAsync(async (req, res, next) => {
+  if (req.invoice.status !== "draft") {
+    return next(new AppError("Only draft invoices can be edited", 409));
+  }
+
+  editableFields.forEach((key) => {
+    if (req.body[key] !== undefined) req.invoice[key] = req.body[key];
+  });
+  const doc = await req.invoice.save();
+
+  res.status(200).json({
+    status: "success",
+    data: {
+      data: doc,
+    },
+  });
+});
+
+exports.deleteInvoice = catchAsync(async (req, res, next) => {
+  if (req.invoice.status !== "draft") {
+    return next(
+      new AppError(
+        "Only draft invoices can be deleted. Cancel the invoice instead.",
+        409
+      )
+    );
+  }
+
+  await req.invoice.deleteOne();
+
+  res.status(204).json({
+    status: "success",
+    data: null,
+  });
+});
+
+exports.issueInvoice = catchAsync(async (req, res, next) => {
+  if (req.invoice.status !== "draft") {
+    return next(new AppError("Only draft invoices can be issued", 409));
+  }
+
+  const doc = await req.invoice.issue();
+  sendInvoiceIssuedEmail(doc);
+
+  res.status(200).json({
+    status: "success",
+    data: {
+      data: doc,
+    },
+  });
+});
+
+exports.cancelInvoice = catchAsync(async (req, res, next) => {
+  if (!["draft", "pending", "overdue"].includes(req.invoice.status)) {
+    return next(
+      new AppError(`A ${req.invoice.status} invoice cannot be cancelled`, 409)
+    );
+  }
+
+  req.invoice.status = "cancelled";
+  const doc = await req.invoice.save();
+
+  res.status(200).json({
+    status: "success",
+    data: {
+      data: doc,
+    },
+  });
+});
+
+exports.refundInvoice = catchAsync(async (req, res, next) => {
+  const { invoice, creditNote } = await refundInvoice({
+    invoice: req.invoice,
+    amount: req.body.amount,
+    reason: req.body.reason,
+    actor: req.user,
+  });
+
+  res.status(201).json({
+    status: "success",
+    data: {
+      invoice,
+      creditNote,
+    },
+  });
+});
+
+exports.getCreditNotes = catchAsync(async (req, res, next) => {
+  const creditNotes = await CreditNote.find({
+    invoiceId: req.invoice._id,
+  }).sort({ createdAt: 1 });
+
+  res.status(200).json({
+    status: "success",
+    results: creditNotes.length,
+    data: {
+      data: creditNotes,
+    },
+  });
+});
+
+// Run the overdue/reminder job now instead of waiting for the schedule
+exports.runReminders = catchAsync(async (req, res, next) => {
+  const result = await runInvoiceReminders();
+
+  res.status(200).json({
+    status: "success",
+    data: result,
+  });
+});
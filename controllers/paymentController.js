@@ -0,0 +1,176 @@
+const Invoice = require("../models/InvoiceModel");
+const PaymentEvent = require("../models/PaymentEventModel");
+const catchAsync = require("../utils/catchAsync");
+const AppError = require("../utils/appError");
+const { getProvider } = require("../utils/payments");
+const { sendPaymentReceivedEmail } = require("../utils/notifications");
+
+const PAYABLE_STATUSES = ["pending", "overdue"];
+
+const findInvoiceForEvent = async (event) => {
+  const invoice = await Invoice.findByStripePaymentIntent(
+    event.paymentIntentId
+  );
+  if (invoice || !event.invoiceId) return invoice;
+  return Invoice.findById(event.invoiceId);
+};
+
+// Apply a normalized payment event to its invoice. Each event is only
+// applied once, and status checks make out-of-order events harmless.
+const handleEvent = async (event, provider) => {
+  if (event.type === "ignored") return "ignored";
+
+  try {
+    await PaymentEvent.create({
+      eventId: event.id,
+      provider: provider.name,
+      type: event.providerType,
+    });
+  } catch (err) {
+    if (err.code === 11000) return "duplicate";
+    throw err;
+  }
+
+  try {
+    const invoice = await findInvoiceForEvent(event);
+    if (!invoice) return "unknown invoice";
+
+    await PaymentEvent.updateOne(
+      { eventId: event.id },
+      { invoiceId: invoice._id }
+    );
+
+    if (event.type === "payment.processing") {
+      if (!PAYABLE_STATUSES.includes(invoice.status)) return "skipped";
+      await invoice.markAsProcessing(event.paymentIntentId);
+    }
+
+    if (event.type === "payment.succeeded") {
+      if (["paid", "refunded"].includes(invoice.status)) return "skipped";
+      const method =
+        event.card && event.card.funding === "debit"
+          ? "debit_card"
+          : "credit_card";
+      await invoice.markAsPaid(method, {
+        paymentIntentId: event.paymentIntentId,
+        customerId: event.customerId,
+        paymentMethod: event.card ? { card: event.card } : undefined,
+      });
+      await sendPaymentReceivedEmail(invoice);
+    }
+
+    if (event.type === "payment.failed") {
+      if (invoice.status !== "processing") return "skipped";
+      await invoice.markAsFailed();
+    }
+
+    return "processed";
+  } catch (err) {
+    // Let the provider retry the event
+    await PaymentEvent.deleteOne({ eventId: event.id });
+    throw err;
+  }
+};
+
+exports.createPaymentIntent = catchAsync(async (req, res, next) => {
+  const invoice = await Invoice.findById(req.params.id);
+
+  if (!invoice || String(invoice.customerId) !== String(req.user._id)) {
+    return next(new AppError("No invoice found with that ID", 404));
+  }
+  if (!PAYABLE_STATUSES.includes(invoice.status)) {
+    return next(
+      new AppError(`A ${invoice.status} invoice cannot be paid`, 409)
+    );
+  }
+
+  const intent = await getProvider().createPaymentIntent({
+    amount: invoice.amountInCents,
+    currency: invoice.currency,
+    metadata: {
+      invoiceId: String(invoice._id),
+      invoiceNumber: invoice.invoiceNumber,
+    },
+  });
+
+  invoice.stripePaymentIntentId = intent.id;
+  await invoice.save();
+
+  res.status(201).json({
+    status: "success",
+    data: {
+      paymentIntentId: intent.id,
+      clientSecret: intent.clientSecret,
+    },
+  });
+});
+
+// Mounted with express.raw() so the signature can be checked on the raw body
+exports.webhook = catchAsync(async (req, res, next) => {
+  const provider = getProvider();
+  const event = await provider.parseWebhook(
+    req.body,
+    req.headers["stripe-signature"]
+  );
+  const result = await handleEvent(event, provider);
+
+  res.status(200).json({ received: true, result });
+});
+
+// Local development only: sign a fake event and run it through the webhook
+// handling, as if the provider had sent it. Admins, or the invoice's customer.
+exports.simulatePayment = catchAsync(async (req, res, next) => {
+  const provider = getProvider();
+  if (provider.name !== "fake" || process.env.NODE_ENV === "production") {
+    return next(
+      new AppError("Payment simulation is only available offline", 404)
+    );
+  }
+
+  const types = {
+    processing: "payment_intent.processing",
+    succeeded: "payment_intent.succeeded",
+    failed: "payment_intent.payment_failed",
+  };
+  const type = types[req.body.event || "succeeded"];
+  if (!type) {
+    return next(
+      new AppError(
+        `event must be one of: ${Object.keys(types).join(", ")}`,
+        400
+      )
+    );
+  }
+
+  const invoice = await Invoice.findById(req.params.id);
+  if (
+    !invoice ||
+    (req.user.role !== "admin" &&
+      String(invoice.customerId) !== String(req.user._id))
+  ) {
+    return next(new AppError("No invoice found with that ID", 404));
+  }
+  if (!invoice.stripePaymentIntentId) {
+    return next(
+      new AppError("Create a payment intent for this invoice first", 400)
+    );
+  }
+
+  const payload = JSON.stringify(
+    provider.buildEvent(type, {
+      paymentIntentId: invoice.stripePaymentIntentId,
+      invoiceId: String(invoice._id),
+      card: req.body.card,
+    })
+  );
+  const event = await provider.parseWebhook(payload, provider.sign(payload));
+  const result = await handleEvent(event, provider);
+
+  res.status(200).json({
+    status: "success",
+    result,
+    data: {
+      data: await Invoice.findById(invoice._id),
+    },
+  });
+});
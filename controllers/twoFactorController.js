@@ -0,0 +1,109 @@
+const User = require("../models/UserModel");
+const catchAsync = require("../utils/catchAsync");
+const AppError = require("../utils/appError");
+const twoFactor = require("../utils/twoFactor");
+const { recordChange } = require("../utils/auditLog");
+
+exports.getStatus = (req, res) => {
+  res.status(200).json({
+    status: "success",
+    data: {
+      enabled: req.user.twoFactorEnabled,
+      required: twoFactor.isRequiredFor(req.user),
+    },
+  });
+};
+
+exports.setup = catchAsync(async (req, res, next) => {
+  const { secret, otpauthUrl } = await twoFactor.startSetup(req.user);
+
+  res.status(200).json({
+    status: "success",
+    message:
+      "Scan the QR code with your authenticator app, then confirm with a code",
+    data: {
+      secret,
+      otpauthUrl,
+    },
+  });
+});
+
+exports.enable = catchAsync(async (req, res, next) => {
+  const recoveryCodes = await twoFactor.enable(req.user, req.body.code);
+
+  res.status(200).json({
+    status: "success",
+    message:
+      "Two-factor authentication enabled. Keep these recovery codes somewhere safe; they won't be shown again.",
+    data: {
+      recoveryCodes,
+    },
+  });
+});
+
+exports.disable = catchAsync(async (req, res, next) => {
+  await twoFactor.disable(req.user, req.body.code);
+
+  res.status(200).json({
+    status: "success",
+    message: "Two-factor authentication disabled",
+  });
+});
+
+exports.regenerateRecoveryCodes = catchAsync(async (req, res, next) => {
+  const recoveryCodes = await twoFactor.regenerateRecoveryCodes(
+    req.user,
+    req.body.code
+  );
+
+  res.status(200).json({
+    status: "success",
+    data: {
+      recoveryCodes,
+    },
+  });
+});
+
+// Load the account whose two-factor is being reset. Admins can reset each
+// other (they are the role most likely to have it required), but not
+// themselves, which would let a stolen admin password skip the second factor.
+exports.loadResetTarget = catchAsync(async (req, res, next) => {
+  if (req.params.id === req.user.id) {
+    return next(
+      new AppError(
+        "You cannot reset your own two-factor authentication. Please ask another admin.",
+        403
+      )
+    );
+  }
+
+  const user = await User.findById(req.params.id);
+  if (!user) {
+    return next(new AppError("No user found with that ID", 404));
+  }
+
+  req.targetUser = user;
+  next();
+});
+
+// Admin only: turn two-factor off for a user who can't sign in. Expects
+// loadResetTarget to have loaded req.targetUser.
+exports.resetForUser = catchAsync(async (req, res, next) => {
+  const updatedUser = await twoFactor.reset(req.targetUser._id);
+  await recordChange(req, {
+    action: "user.2fa-reset",
+    target: req.targetUser,
+    after: { twoFactorEnabled: false },
+    reason: req.body.reason,
+  });
+
+  res.status(200).json({
+    status: "success",
+    message: twoFactor.isRequiredFor(updatedUser)
+      ? "Two-factor authentication reset. The user will be asked to set it up again at their next login."
+      : "Two-factor authentication reset",
+    data: {
+      data: updatedUser,
+    },
+  });
+});
@@ -0,0 +1,161 @@
+const User = require("../models/UserModel");
+const Session = require("../models/SessionModel");
+const AuditLog = require("../models/AuditLogModel");
+const factory = require("./handlerFactory");
+const catchAsync = require("../utils/catchAsync");
+const AppError = require("../utils/appError");
+const { geocodePostcode } = require("../utils/geocoding");
+
+// Profile fields an admin may change on someone else's account
+const editableFields = ["username", "email", "phoneNumber", "location"];
+
+// Parts of the address an admin may change; the coordinates follow zipCode
+const locationFields = ["address", "city", "zipCode", "country"];
+
+const ROLES = User.schema.path("role").enumValues;
+
+const SEARCH_FIELDS = ["username", "email", "phoneNumber"];
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// ?search=<text> matches username, email or phone number
+exports.setSearch = (req, res, next) => {
+  if (typeof req.query.search === "string" && req.query.search.trim()) {
+    req.query.or = SEARCH_FIELDS;
+    req.query.searchValue = escapeRegExp(req.query.search.trim());
+  }
+  delete req.query.search;
+  next();
+};
+
+exports.filterUpdate = (req, res, next) => {
+  const filtered = {};
+  editableFields.forEach((key) => {
+    if (req.body[key] !== undefined) filtered[key] = req.body[key];
+  });
+
+  if (Object.keys(filtered).length === 0) {
+    return next(
+      new AppError(
+        `Please provide at least one of: ${editableFields.join(", ")}. Use the role, deactivate and reactivate routes for those changes.`,
+        400
+      )
+    );
+  }
+
+  req.body = filtered;
+  next();
+};
+
+exports.prepareRoleChange = (req, res, next) => {
+  const { role } = req.body;
+
+  if (!ROLES.includes(role)) {
+    return next(
+      new AppError(`Please provide a role: ${ROLES.join(", ")}`, 400)
+    );
+  }
+  if (role === req.targetUser.role) {
+    return next(new AppError(`This user is already a ${role}`, 409));
+  }
+
+  req.auditReason = req.body.reason;
+  req.body = { role };
+  next();
+};
+
+exports.prepareDeactivate = catchAsync(async (req, res, next) => {
+  if (req.targetUser.active === false) {
+    return next(new AppError("This account is already deactivated", 409));
+  }
+
+  req.auditReason = req.body.reason;
+  req.body = {
+    active: false,
+    deactivatedAt: new Date(),
+    deactivatedBy: req.user._id,
+  };
+
+  // Sign the user out everywhere straight away
+  await Session.revokeAll(req.targetUser._id, "Account deactivated");
+  next();
+});
+
+exports.prepareReactivate = (req, res, next) => {
+  if (req.targetUser.active !== false) {
+    return next(new AppError("This account is already active", 409));
+  }
+
+  req.auditReason = req.body.reason;
+  req.body = { active: true, deactivatedAt: null, deactivatedBy: null };
+  next();
+};
+
+exports.prepareDelete = catchAsync(async (req, res, next) => {
+  req.auditReason = req.body && req.body.reason;
+
+  await Session.revokeAll(req.targetUser._id, "Account deleted");
+  next();
+});
+
+// Limit the audit log to one account for /:id/audit-log
+exports.setAuditTarget = (req, res, next) => {
+  req.filter = { targetId: req.params.id };
+  next();
+};
+
+// Admin edits to someone else's profile. Address changes are merged into the
+// stored address with its coordinates kept in line with the postcode, and a
+// new email address or phone number has to be verified again.
+exports.updateProfile = catchAsync(async (req, res, next) => {
+  const target = req.targetUser;
+  const { location, ...fields } = req.body;
+  const set = { ...fields };
+  const unset = {};
+
+  if (location) {
+    locationFields.forEach((key) => {
+      if (location[key] !== undefined) set[`location.${key}`] = location[key];
+    });
+
+    if (location.zipCode !== undefined) {
+      const point = await geocodePostcode(location.zipCode);
+      if (point) set["location.geo"] = point;
+      else unset["location.geo"] = 1;
+    }
+  }
+
+  if (
+    set.email !== undefined &&
+    String(set.email).toLowerCase() !== target.email
+  ) {
+    set.emailVerified = false;
+    set.emailVerifiedAt = null;
+  }
+  if (set.phoneNumber !== undefined && set.phoneNumber !== target.phoneNumber) {
+    set.phoneVerified = false;
+    set.phoneVerifiedAt = null;
+  }
+
+  const doc = await User.findByIdAndUpdate(
+    target._id,
+    { $set: set, $unset: unset },
+    {
+      new: true,
+      runValidators: true,
+    }
+  );
+
+  res.status(200).json({
+    status: "success",
+    data: {
+      data: doc,
+    },
+  });
+});
+
+exports.getAllUsers = factory.getAll(User);
+exports.getUser = factory.getOne(User);
+exports.updateUser = factory.updateOne(User);
+exports.deleteUser = factory.deleteOne(User);
+exports.getAuditLog = factory.getAll(AuditLog);
@@ -13,12 +13,31 @@ const cookieParser = require("cookie-parser");
 const AppError = require("./utils/appError");
 const globalErrorHandler = require("./controllers/errorController");
 
+// Scheduled jobs
+const { startInvoiceReminderJob } = require("./utils/invoiceReminders");
+const { startCredentialExpiryJob } = require("./utils/credentialExpiry");
+
 // Routes
 const authRoutes = require("./routes/authRoutes");
+const emergencyRequestRoutes = require("./routes/emergencyRequestRoutes");
+const engineerRoutes = require("./routes/engineerRoutes");
+const availabilityRoutes = require("./routes/availabilityRoutes");
+const invoiceRoutes = require("./routes/invoiceRoutes");
+const paymentRoutes = require("./routes/paymentRoutes");
+const userRoutes = require("./routes/userRoutes");
+const engineerApplicationRoutes = require("./routes/engineerApplicationRoutes");
+const fileRoutes = require("./routes/fileRoutes");
+const paymentController = require("./controllers/paymentController");
 
 // Use absolute path to config.env
 dotenv.config({ path: path.join(__dirname, "config.env") });
 
+// Schedules are worked out in UK local time (see TZ in config.env)
+if (process.env.TZ !== "Europe/London") {
+  console.error("TZ must be set to Europe/London. Shutting down...");
+  process.exit(1);
+}
+
 process.on("uncaughtException", (err) => {
   console.log("UNCAUGHT EXCEPTION! 💥 Shutting down...");
   console.log(err.name, err.message);
@@ -30,7 +49,11 @@ const DB = process.env.DATABASE.replace(
   process.env.DATABASE_PASSWORD
 );
 
-mongoose.connect(DB).then(() => console.log("DB connection successful!"));
+mongoose.connect(DB).then(() => {
+  console.log("DB connection successful!");
+  startInvoiceReminderJob();
+  startCredentialExpiryJob();
+});
 
 const app = express();
 const apiRouter = express.Router();
@@ -50,13 +73,21 @@ apiRouter.use(
   })
 );
 
+// Payment webhooks are verified against the raw body, so they are
+// registered before the JSON parser
+apiRouter.post(
+  "/payments/webhook",
+  express.raw({ type: "application/json" }),
+  paymentController.webhook
+);
+
 // Body parsing
 apiRouter.use(express.json({ limit: "10000kb" }));
 apiRouter.use(express.urlencoded({ extended: false }));
 apiRouter.use(bodyParser.json());
 apiRouter.use(cookieParser());
 
-// Static files
+// Public uploads. Private files are served through /files (see utils/storage)
 apiRouter.use(express.static(`${__dirname}/public`));
 
 // Development logging
@@ -72,6 +103,14 @@ apiRouter.use((req, res, next) => {
 
 // Routes
 apiRouter.use("/auth", authRoutes);
+apiRouter.use("/emergency-requests", emergencyRequestRoutes);
+apiRouter.use("/engineers", engineerRoutes);
+apiRouter.use("/availability", availabilityRoutes);
+apiRouter.use("/invoices", invoiceRoutes);
+apiRouter.use("/payments", paymentRoutes);
+apiRouter.use("/users", userRoutes);
+apiRouter.use("/engineer-applications", engineerApplicationRoutes);
+apiRouter.use("/files", fileRoutes);
 
 // Handle unmatched routes
 apiRouter.all("*", (req, res, next) => {
@@ -0,0 +1,47 @@
+const mongoose = require("mongoose");
+
+const ACTIONS = [
+  "user.update",
+  "user.role",
+  "user.deactivate",
+  "user.reactivate",
+  "user.delete",
+  "user.2fa-reset",
+];
+
+// Changes admins make to other people's accounts
+const auditLogSchema = new mongoose.Schema(
+  {
+    actorId: {
+      type: mongoose.Schema.ObjectId,
+      ref: "User",
+      required: [true, "Audit entry must have an actor"],
+    },
+    actorRole: String,
+    action: {
+      type: String,
+      enum: ACTIONS,
+      required: [true, "Audit entry must have an action"],
+    },
+    targetId: {
+      type: mongoose.Schema.ObjectId,
+      ref: "User",
+      required: [true, "Audit entry must have a target"],
+    },
+    // The changed fields before and after
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed,
+    reason: String,
+    ip: String,
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+auditLogSchema.index({ targetId: 1, createdAt: -1 });
+auditLogSchema.index({ actorId: 1, createdAt: -1 });
+
+const AuditLog = mongoose.model("AuditLog", auditLogSchema);
+
+module.exports = AuditLog;
@@ -0,0 +1,50 @@
+const mongoose = require("mongoose");
+
+// A block of an engineer's time reserved for a scheduled emergency request
+const bookingSchema = new mongoose.Schema(
+  {
+    engineerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Booking must belong to an engineer"],
+    },
+    requestId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "EmergencyRequest",
+      required: [true, "Booking must belong to an emergency request"],
+    },
+    start: {
+      type: Date,
+      required: [true, "Booking must have a start time"],
+    },
+    end: {
+      type: Date,
+      required: [true, "Booking must have an end time"],
+    },
+    status: {
+      type: String,
+      enum: ["active", "released"],
+      default: "active",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+bookingSchema.index({ engineerId: 1, status: 1, start: 1, end: 1 });
+bookingSchema.index({ requestId: 1 });
+
+// Active bookings for an engineer that overlap [start, end)
+bookingSchema.statics.findOverlapping = function (engineerIds, start, end) {
+  return this.find({
+    engineerId: { $in: [].concat(engineerIds) },
+    status: "active",
+    start: { $lt: end },
+    end: { $gt: start },
+  });
+};
+
+const Booking = mongoose.model("Booking", bookingSchema);
+
+module.exports = Booking;
@@ -0,0 +1,55 @@
+const mongoose = require("mongoose");
+
+// Named sequences, e.g. one per invoice prefix and year
+const counterSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+    required: [true, "Counter name is required"],
+  },
+  seq: {
+    type: Number,
+    default: 0,
+  },
+});
+
+// Atomically increment the named counter and return the new value
+counterSchema.statics.next = async function (name, session) {
+  const counter = await this.findOneAndUpdate(
+    { _id: name },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true, session }
+  );
+  return counter.seq;
+};
+
+// Raise the counter to at least `seq` (used to seed from existing data)
+counterSchema.statics.raiseTo = function (name, seq) {
+  return this.updateOne({ _id: name }, { $max: { seq } }, { upsert: true });
+};
+
+// The counter's current value, 0 if it hasn't been used yet
+counterSchema.statics.current = async function (name) {
+  const counter = await this.findById(name);
+  return counter ? counter.seq : 0;
+};
+
+// Move the counter on from `seq`, but only if nobody else has since. Resolves
+// to whether this call did, for optimistic locking.
+counterSchema.statics.advanceFrom = async function (name, seq) {
+  try {
+    const result = await this.updateOne(
+      { _id: name, seq },
+      { $inc: { seq: 1 } },
+      { upsert: true }
+    );
+    return result.modifiedCount + result.upsertedCount > 0;
+  } catch (err) {
+    // The counter exists with another value, so the upsert clashed
+    if (err.code === 11000) return false;
+    throw err;
+  }
+};
+
+const Counter = mongoose.model("Counter", counterSchema);
+
+module.exports = Counter;
@@ -0,0 +1,59 @@
+const mongoose = require("mongoose");
+
+// Issued for every refund against an invoice
+const creditNoteSchema = new mongoose.Schema(
+  {
+    creditNoteNumber: {
+      type: String,
+      required: [true, "Credit note number is required"],
+      unique: true,
+    },
+    invoiceId: {
+      type: mongoose.Schema.ObjectId,
+      ref: "Invoice",
+      required: [true, "Credit note must belong to an invoice"],
+    },
+    customerId: {
+      type: mongoose.Schema.ObjectId,
+      ref: "User",
+      required: [true, "Customer ID is required"],
+    },
+    amount: {
+      type: Number,
+      required: [true, "Amount is required"],
+      min: [0.01, "Amount must be at least 0.01"],
+    },
+    currency: {
+      type: String,
+      default: "gbp",
+      enum: ["usd", "cad", "eur", "gbp"],
+    },
+    reason: {
+      type: String,
+      required: [true, "Please provide a reason for the refund"],
+      trim: true,
+      maxlength: [500, "Reason cannot be more than 500 characters"],
+    },
+    // Refund ID and status from the payment provider
+    refundId: {
+      type: String,
+    },
+    refundStatus: {
+      type: String,
+    },
+    issuedBy: {
+      type: mongoose.Schema.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+creditNoteSchema.index({ invoiceId: 1 });
+creditNoteSchema.index({ customerId: 1 });
+
+const CreditNote = mongoose.model("CreditNote", creditNoteSchema);
+
+module.exports = CreditNote;
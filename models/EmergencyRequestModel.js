@@ -1,4 +1,70 @@
 const mongoose = require("mongoose");
+const { STATUSES, assertTransition } = require("../utils/requestStatus");
+const { geocodePostcode } = require("../utils/geocoding");
+const { releaseSlot } = require("../utils/scheduling");
+const Invoice = require("./InvoiceModel");
+const {
+  sendJobAssignedEmail,
+  sendJobCompletedEmail,
+} = require("../utils/notifications");
+
+const MAX_PHOTOS = 10;
+
+// A customer's photo of the problem, stored without its EXIF metadata
+const photoSchema = new mongoose.Schema({
+  url: {
+    type: String,
+    required: true,
+  },
+  thumbnailUrl: String,
+  width: Number,
+  height: Number,
+  size: Number,
+  uploadedBy: {
+    type: mongoose.Schema.ObjectId,
+    ref: "User",
+  },
+  uploadedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+const statusChangeSchema = new mongoose.Schema(
+  {
+    from: {
+      type: String,
+      enum: [...STATUSES, null],
+      default: null,
+    },
+    to: {
+      type: String,
+      enum: STATUSES,
+      required: true,
+    },
+    // Null when the change was made by the system
+    changedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    role: {
+      type: String,
+      enum: ["customer", "engineer", "admin", "system"],
+      required: true,
+    },
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: [500, "Reason cannot be more than 500 characters"],
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
 
 const emergencyRequestSchema = new mongoose.Schema(
   {
@@ -14,19 +80,33 @@ const emergencyRequestSchema = new mongoose.Schema(
       trim: true,
       maxlength: [1000, "Description cannot be more than 1000 characters"],
     },
+    // Older requests only: image URLs, paths or base64 data. New photos go
+    // in `photos`.
     images: {
       type: [String],
       default: [],
       validate: {
         validator: function (v) {
-          // Allow empty array or validate each image URL/path
-          return v.every((image) =>
-            /^(https?:\/\/)|(\/uploads\/)|(data:image\/)/.test(image)
+          return (
+            v.length <= MAX_PHOTOS &&
+            v.every((image) =>
+              /^(https?:\/\/|\/uploads\/|data:image\/)/.test(image)
+            )
           );
         },
-        message: "Please provide valid image URLs, paths, or base64 data",
+        message: `Please provide up to ${MAX_PHOTOS} image URLs, paths, or base64 data`,
+      },
+    },
+    // Uploaded through /:id/photos while the request is pending
+    photos: {
+      type: [photoSchema],
+      default: [],
+      validate: {
+        validator: function (photos) {
+          return photos.length <= MAX_PHOTOS;
+        },
+        message: `Cannot have more than ${MAX_PHOTOS} photos`,
       },
-      maxlength: [10, "Cannot upload more than 10 images"],
     },
     skillsNeeded: {
       type: [String],
@@ -52,14 +132,49 @@ const emergencyRequestSchema = new mongoose.Schema(
     },
     status: {
       type: String,
-      enum: ["pending", "assigned", "in-progress", "completed", "cancelled"],
+      enum: STATUSES,
       default: "pending",
     },
+    // Every status change, oldest first. Only written through transitionTo
+    statusHistory: {
+      type: [statusChangeSchema],
+      default: [],
+    },
     priority: {
       type: String,
       enum: ["low", "medium", "high", "critical"],
       default: "medium",
     },
+    // Where the job is. Defaults to the customer's address when created
+    location: {
+      address: {
+        type: String,
+        trim: true,
+      },
+      zipCode: {
+        type: String,
+        trim: true,
+        validate: {
+          validator: function (zipCode) {
+            // UK postcode validation
+            return /^[A-Z]{1,2}[0-9][A-Z0-9]?\s?[0-9][A-Z]{2}$/i.test(zipCode);
+          },
+          message: "Please provide a valid UK postcode",
+        },
+      },
+      // Set from the postcode via utils/geocoding
+      geo: {
+        type: {
+          type: String,
+          enum: ["Point"],
+        },
+        // [longitude, latitude]
+        coordinates: {
+          type: [Number],
+          default: undefined,
+        },
+      },
+    },
     estimatedCost: {
       type: Number,
       min: 0,
@@ -68,9 +183,20 @@ const emergencyRequestSchema = new mongoose.Schema(
       type: Number,
       min: 0,
     },
+    actualCost: {
+      type: Number,
+      min: 0,
+    },
+    // Set through utils/scheduling so the engineer's time is reserved
     scheduledDate: {
       type: Date,
     },
+    // Expected length of the job in minutes, used when reserving time
+    estimatedDuration: {
+      type: Number,
+      min: [15, "Estimated duration must be at least 15 minutes"],
+      max: [24 * 60, "Estimated duration cannot be more than a day"],
+    },
     preferredTime: {
       date: {
         type: Date,
@@ -122,6 +248,7 @@ emergencyRequestSchema.index({ status: 1 });
 emergencyRequestSchema.index({ priority: 1 });
 emergencyRequestSchema.index({ createdAt: -1 });
 emergencyRequestSchema.index({ skillsNeeded: 1 });
+emergencyRequestSchema.index({ "location.geo": "2dsphere" });
 
 // Virtual for getting the age of the request
 emergencyRequestSchema.virtual("requestAge").get(function () {
@@ -154,13 +281,23 @@ emergencyRequestSchema.statics.findByCustomer = function (customerId) {
 // Static method to find requests by engineer
 emergencyRequestSchema.statics.findByEngineer = function (engineerId) {
   return this.find({ engineerId })
-    .populate(
-      "customerId",
-      "username email phoneNumber address city state zipCode"
-    )
+    .populate("customerId", "username email phoneNumber location")
     .sort({ createdAt: -1 });
 };
 
+// Static method to create a request, recording `actor` (the user raising it)
+// as the first statusHistory entry
+emergencyRequestSchema.statics.createBy = function (data, actor) {
+  const request = new this({ ...data, statusHistory: [] });
+  request.statusHistory.push({
+    from: null,
+    to: request.status,
+    changedBy: actor._id,
+    role: actor.role,
+  });
+  return request.save();
+};
+
 // Static method to get dashboard stats
 emergencyRequestSchema.statics.getDashboardStats = function () {
   return this.aggregate([
@@ -185,22 +322,122 @@ emergencyRequestSchema.statics.getDashboardStats = function () {
   ]);
 };
 
+// Record the initial status when the request is created. Requests raised by
+// a user go through createBy, which records who it was.
+emergencyRequestSchema.pre("save", function (next) {
+  if (this.isNew && this.statusHistory.length === 0) {
+    this.statusHistory.push({
+      from: null,
+      to: this.status,
+      changedBy: null,
+      role: "system",
+    });
+  }
+  next();
+});
+
+emergencyRequestSchema.pre("save", async function (next) {
+  if (!this.isModified("location.zipCode")) return next();
+
+  const point = await geocodePostcode(this.location.zipCode);
+  this.location.geo = point || undefined;
+  next();
+});
+
+// Free the engineer's reserved time once the job goes back to pending or
+// is cancelled
+emergencyRequestSchema.pre("save", function (next) {
+  this.$locals.releaseBooking =
+    !this.isNew &&
+    this.isModified("status") &&
+    ["pending", "cancelled"].includes(this.status);
+  next();
+});
+
+emergencyRequestSchema.post("save", async function (doc) {
+  if (doc.$locals.releaseBooking) await releaseSlot(doc._id);
+});
+
+// Raise a draft invoice as soon as the job is completed
+emergencyRequestSchema.pre("save", function (next) {
+  this.$locals.createInvoice =
+    this.isModified("status") && this.status === "completed";
+  next();
+});
+
+emergencyRequestSchema.post("save", async function (doc) {
+  if (!doc.$locals.createInvoice) return;
+  try {
+    await Invoice.createForRequest(doc);
+  } catch (err) {
+    // The job stays completed; an admin can raise the invoice manually
+    console.error("Invoice creation error:", err);
+  }
+});
+
+// Let the engineer know about a new job and the customer about a finished one
+emergencyRequestSchema.pre("save", function (next) {
+  this.$locals.notifyAssigned =
+    this.isModified("engineerId") && Boolean(this.engineerId);
+  this.$locals.notifyCompleted =
+    this.isModified("status") && this.status === "completed";
+  next();
+});
+
+emergencyRequestSchema.post("save", function (doc) {
+  if (doc.$locals.notifyAssigned) sendJobAssignedEmail(doc);
+  if (doc.$locals.notifyCompleted) sendJobCompletedEmail(doc);
+});
+
+// Instance method to move the request to a new status. Rejects transitions
+// not allowed by utils/requestStatus and records the change in statusHistory.
+// `actor` is the user making the change; omit it for system changes.
+emergencyRequestSchema.methods.transitionTo = function (status, actor, reason) {
+  const role = actor ? actor.role : "system";
+  assertTransition(this.status, status, role);
+
+  this.statusHistory.push({
+    from: this.status,
+    to: status,
+    changedBy: actor ? actor._id : null,
+    role,
+    reason,
+  });
+  this.status = status;
+  return this;
+};
+
 // Instance method to assign engineer
-emergencyRequestSchema.methods.assignEngineer = function (engineerId) {
+emergencyRequestSchema.methods.assignEngineer = function (
+  engineerId,
+  actor,
+  reason
+) {
+  this.transitionTo("assigned", actor, reason);
   this.engineerId = engineerId;
-  this.status = "assigned";
+  return this.save();
+};
+
+// Instance method to remove the assigned engineer and put the job back
+emergencyRequestSchema.methods.unassignEngineer = function (actor, reason) {
+  this.transitionTo("pending", actor, reason);
+  this.engineerId = null;
   return this.save();
 };
 
 // Instance method to start work
-emergencyRequestSchema.methods.startWork = function () {
-  this.status = "in-progress";
+emergencyRequestSchema.methods.startWork = function (actor) {
+  this.transitionTo("in-progress", actor);
   return this.save();
 };
 
 // Instance method to mark as completed
-emergencyRequestSchema.methods.markCompleted = function (actualCost, notes) {
-  this.status = "completed";
+emergencyRequestSchema.methods.markCompleted = function (
+  actualCost,
+  notes,
+  actor
+) {
+  this.transitionTo("completed", actor);
   this.completedDate = new Date();
   if (actualCost) this.actualCost = actualCost;
   if (notes) this.notes = notes;
@@ -208,8 +445,8 @@ emergencyRequestSchema.methods.markCompleted = function (actualCost, notes) {
 };
 
 // Instance method to cancel request
-emergencyRequestSchema.methods.cancelRequest = function (reason) {
-  this.status = "cancelled";
+emergencyRequestSchema.methods.cancelRequest = function (reason, actor) {
+  this.transitionTo("cancelled", actor, reason);
   if (reason) this.internalNotes = reason;
   return this.save();
 };
@@ -219,10 +456,7 @@ emergencyRequestSchema.methods.getCustomerInfo = async function () {
   if (this.populated("customerId")) {
     return this.customerId;
   }
-  await this.populate(
-    "customerId",
-    "username email phoneNumber address city state zipCode"
-  );
+  await this.populate("customerId", "username email phoneNumber location");
   return this.customerId;
 };
 
@@ -241,4 +475,6 @@ const EmergencyRequest = mongoose.model(
   emergencyRequestSchema
 );
 
+EmergencyRequest.MAX_PHOTOS = MAX_PHOTOS;
+
 module.exports = EmergencyRequest;
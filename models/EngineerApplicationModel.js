@@ -0,0 +1,134 @@
+const mongoose = require("mongoose");
+
+const APPLICATION_STATUSES = [
+  "submitted",
+  "changes_requested",
+  "approved",
+  "rejected",
+];
+
+// Document fields, as named by the upload form
+const DOCUMENT_FIELDS = [
+  "gasSafeCard",
+  "commercialRecord",
+  "cv",
+  "profileFile",
+  "businessLogo",
+  "portfolioImages",
+];
+
+const REQUIRED_DOCUMENTS = ["gasSafeCard"];
+
+const reviewSchema = new mongoose.Schema(
+  {
+    status: {
+      type: String,
+      enum: APPLICATION_STATUSES,
+      required: true,
+    },
+    comment: String,
+    // The engineer for submissions, the reviewing admin otherwise
+    by: {
+      type: mongoose.Schema.ObjectId,
+      ref: "User",
+    },
+    at: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
+const engineerApplicationSchema = new mongoose.Schema(
+  {
+    engineerId: {
+      type: mongoose.Schema.ObjectId,
+      ref: "User",
+      required: [true, "Application must belong to an engineer"],
+      unique: true,
+    },
+    status: {
+      type: String,
+      enum: APPLICATION_STATUSES,
+      default: "submitted",
+    },
+    // Storage references: keys of private documents, URLs of public images
+    documents: {
+      gasSafeCard: String,
+      commercialRecord: String,
+      cv: String,
+      profileFile: String,
+      businessLogo: String,
+      portfolioImages: {
+        type: [String],
+        default: undefined,
+      },
+    },
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: [1000, "Notes cannot be more than 1000 characters"],
+    },
+    // Every submission and review decision, oldest first
+    history: {
+      type: [reviewSchema],
+      default: [],
+    },
+    submittedAt: Date,
+    reviewedAt: Date,
+    reviewedBy: {
+      type: mongoose.Schema.ObjectId,
+      ref: "User",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+engineerApplicationSchema.index({ status: 1, submittedAt: 1 });
+
+engineerApplicationSchema.pre("validate", function (next) {
+  const missing = REQUIRED_DOCUMENTS.filter(
+    (field) => !this.documents || !this.documents[field]
+  );
+  if (missing.length) {
+    this.invalidate(
+      "documents",
+      `Please upload the following documents: ${missing.join(", ")}`
+    );
+  }
+  next();
+});
+
+// Whether the engineer can still change and resubmit the application
+engineerApplicationSchema.methods.isEditable = function () {
+  return ["submitted", "changes_requested"].includes(this.status);
+};
+
+engineerApplicationSchema.methods.recordStatus = function (
+  status,
+  actor,
+  comment
+) {
+  this.status = status;
+  this.history.push({ status, comment, by: actor && actor._id });
+
+  if (status === "submitted") {
+    this.submittedAt = new Date();
+  } else {
+    this.reviewedAt = new Date();
+    this.reviewedBy = actor && actor._id;
+  }
+  return this;
+};
+
+const EngineerApplication = mongoose.model(
+  "EngineerApplication",
+  engineerApplicationSchema
+);
+
+EngineerApplication.DOCUMENT_FIELDS = DOCUMENT_FIELDS;
+
+module.exports = EngineerApplication;
@@ -1,4 +1,76 @@
 const mongoose = require("mongoose");
+const invoiceNumbering = require("../utils/invoiceNumbering");
+const invoiceTotals = require("../utils/invoiceTotals");
+const AppError = require("../utils/appError");
+
+const discountSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: {
+        values: ["percent", "fixed"],
+        message: "Discount type must be: percent or fixed",
+      },
+      required: [true, "Discount type is required"],
+    },
+    // Percent (0-100) or a fixed amount in the invoice currency
+    value: {
+      type: Number,
+      required: [true, "Discount value is required"],
+      min: [0, "Discount cannot be negative"],
+      validate: {
+        validator: function (value) {
+          return this.type !== "percent" || value <= 100;
+        },
+        message: "Percentage discount cannot be more than 100",
+      },
+    },
+  },
+  { _id: false }
+);
+
+const lineItemSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: {
+      values: ["labour", "part", "callout", "other"],
+      message: "Line item type must be: labour, part, callout, or other",
+    },
+    required: [true, "Line item type is required"],
+  },
+  description: {
+    type: String,
+    required: [true, "Line item description is required"],
+    trim: true,
+    maxlength: [200, "Description cannot be more than 200 characters"],
+  },
+  quantity: {
+    type: Number,
+    required: [true, "Line item quantity is required"],
+    min: [0, "Quantity cannot be negative"],
+  },
+  // Price per unit excluding VAT
+  unitPrice: {
+    type: Number,
+    required: [true, "Line item unit price is required"],
+    min: [0, "Unit price cannot be negative"],
+  },
+  // VAT percentage; defaults to the standard rate
+  vatRate: {
+    type: Number,
+    default: () => invoiceTotals.getDefaultVatRate(),
+    validate: {
+      validator: invoiceTotals.isAllowedVatRate,
+      message: "VAT rate must be one of the configured rates",
+    },
+  },
+  discount: discountSchema,
+  // Calculated by the server
+  discountAmount: Number,
+  netAmount: Number,
+  vatAmount: Number,
+  totalAmount: Number,
+});
 
 const invoiceSchema = new mongoose.Schema(
   {
@@ -8,16 +80,32 @@ const invoiceSchema = new mongoose.Schema(
       required: [true, "Customer ID is required"],
     },
 
+    // Amount due including VAT. Calculated from lineItems when there are any
     amount: {
       type: Number,
       required: [true, "Amount is required"],
       min: [0, "Amount cannot be negative"],
     },
 
+    lineItems: {
+      type: [lineItemSchema],
+      default: [],
+    },
+
+    // Whole-invoice discount, applied after any line discounts
+    discount: discountSchema,
+
+    // Calculated by the server from lineItems and fixed once issued
+    subtotal: Number,
+    discountTotal: Number,
+    netTotal: Number,
+    vatTotal: Number,
+
     status: {
       type: String,
       enum: {
         values: [
+          "draft",
           "pending",
           "paid",
           "overdue",
@@ -26,7 +114,7 @@ const invoiceSchema = new mongoose.Schema(
           "processing",
         ],
         message:
-          "Status must be: pending, paid, overdue, cancelled, refunded, or processing",
+          "Status must be: draft, pending, paid, overdue, cancelled, refunded, or processing",
       },
       default: "pending",
     },
@@ -45,18 +133,55 @@ const invoiceSchema = new mongoose.Schema(
     },
 
     // Additional useful fields
+    // Assigned from a gap-free sequence when the invoice is issued
     invoiceNumber: {
       type: String,
-      unique: true,
-      required: [true, "Invoice number is required"],
+      required: [
+        function () {
+          return this.status !== "draft";
+        },
+        "Invoice number is required",
+      ],
+    },
+
+    // Business entity the invoice is raised by; selects the number prefix
+    entity: {
+      type: String,
+      trim: true,
+      default: invoiceNumbering.DEFAULT_ENTITY,
     },
 
+    // The emergency request this invoice bills for
     jobId: {
       type: mongoose.Schema.ObjectId,
-      ref: "Job",
+      ref: "EmergencyRequest",
       required: [true, "Job ID is required"],
     },
 
+    issuedDate: {
+      type: Date,
+    },
+
+    // Days the customer has to pay once issued; defaults to PAYMENT_TERMS_DAYS
+    paymentTermsDays: {
+      type: Number,
+      min: [0, "Payment terms cannot be negative"],
+    },
+
+    // Set when the invoice is issued. Unpaid invoices past it become overdue
+    dueDate: {
+      type: Date,
+    },
+
+    // Payment reminders already sent, by days relative to the due date
+    reminders: [
+      {
+        _id: false,
+        offsetDays: Number,
+        sentAt: Date,
+      },
+    ],
+
     engineerId: {
       type: mongoose.Schema.ObjectId,
       ref: "User",
@@ -66,6 +191,17 @@ const invoiceSchema = new mongoose.Schema(
       type: Date,
     },
 
+    // Total refunded so far; see CreditNote for each refund
+    amountRefunded: {
+      type: Number,
+      default: 0,
+      min: [0, "Refunded amount cannot be negative"],
+    },
+
+    refundedDate: {
+      type: Date,
+    },
+
     // Stripe-specific fields
     stripePaymentIntentId: {
       type: String,
@@ -85,7 +221,7 @@ const invoiceSchema = new mongoose.Schema(
 
     currency: {
       type: String,
-      default: "usd",
+      default: "gbp",
       enum: ["usd", "cad", "eur", "gbp"],
     },
 
@@ -117,9 +253,18 @@ const invoiceSchema = new mongoose.Schema(
 
 // Indexes for better query performance
 invoiceSchema.index({ customerId: 1 });
-invoiceSchema.index({ jobId: 1 });
+// One invoice per job, so completing a job twice can't bill it twice
+invoiceSchema.index({ jobId: 1 }, { unique: true });
 invoiceSchema.index({ status: 1 });
-invoiceSchema.index({ invoiceNumber: 1 }, { unique: true });
+invoiceSchema.index({ status: 1, dueDate: 1 });
+// Drafts have no number yet, so only numbered invoices must be unique
+invoiceSchema.index(
+  { invoiceNumber: 1 },
+  {
+    unique: true,
+    partialFilterExpression: { invoiceNumber: { $type: "string" } },
+  }
+);
 invoiceSchema.index({ stripePaymentIntentId: 1 });
 invoiceSchema.index({ stripeCustomerId: 1 });
 
@@ -128,11 +273,67 @@ invoiceSchema.virtual("totalAmount").get(function () {
   return this.amount;
 });
 
+// Fields that are fixed once an invoice has been issued
+const pricingFields = [
+  "amount",
+  "currency",
+  "lineItems",
+  "discount",
+  "subtotal",
+  "discountTotal",
+  "netTotal",
+  "vatTotal",
+];
+
+invoiceSchema.pre("save", function (next) {
+  const wasDraft = this.isNew || this.$locals.wasDraft;
+  if (!wasDraft && pricingFields.some((field) => this.isModified(field))) {
+    return next(
+      new AppError("Invoice amounts cannot be changed once issued", 409)
+    );
+  }
+
+  // Work out line and invoice totals while the invoice is still a draft
+  if (wasDraft && this.lineItems.length > 0) {
+    const totals = invoiceTotals.calculateTotals(this.lineItems, this.discount);
+    totals.items.forEach((calculated, index) => {
+      this.lineItems[index].set(calculated);
+    });
+    this.subtotal = totals.subtotal;
+    this.discountTotal = totals.discountTotal;
+    this.netTotal = totals.netTotal;
+    this.vatTotal = totals.vatTotal;
+    this.amount = totals.total;
+  }
+
+  next();
+});
+
+// Remember whether the invoice was a draft when it was loaded or last saved
+invoiceSchema.post("init", function (doc) {
+  doc.$locals.wasDraft = doc.status === "draft";
+});
+
+invoiceSchema.post("save", function (doc) {
+  doc.$locals.wasDraft = doc.status === "draft";
+});
+
 // Virtual for amount in cents (Stripe uses cents)
 invoiceSchema.virtual("amountInCents").get(function () {
   return Math.round(this.amount * 100);
 });
 
+// Virtual for what the customer has paid after refunds
+invoiceSchema.virtual("netPaidAmount").get(function () {
+  if (!["paid", "refunded"].includes(this.status)) return 0;
+  return Math.round((this.amount - (this.amountRefunded || 0)) * 100) / 100;
+});
+
+// Virtual for how much can still be refunded
+invoiceSchema.virtual("refundableAmount").get(function () {
+  return this.status === "paid" ? this.netPaidAmount : 0;
+});
+
 // Pre-save middleware to update timestamp and status
 invoiceSchema.pre("save", function (next) {
   this.updatedAt = Date.now();
@@ -144,17 +345,131 @@ invoiceSchema.pre("save", function (next) {
   next();
 });
 
-// Static method to generate invoice number
-invoiceSchema.statics.generateInvoiceNumber = async function () {
-  const year = new Date().getFullYear();
-  const count = await this.countDocuments({
-    createdAt: {
-      $gte: new Date(year, 0, 1),
-      $lt: new Date(year + 1, 0, 1),
-    },
+// Static method to generate invoice number. Numbers come from an atomic
+// counter per prefix and year; pass the session of the transaction that
+// saves the invoice so numbering stays gap-free.
+invoiceSchema.statics.generateInvoiceNumber = function (entity, session) {
+  return invoiceNumbering.nextNumber(
+    invoiceNumbering.getPrefix(entity),
+    session
+  );
+};
+
+// Hours between the job starting and being completed, from its history
+const hoursWorked = (request) => {
+  const started = [...request.statusHistory]
+    .reverse()
+    .find((change) => change.to === "in-progress");
+  if (!started || !request.completedDate) return 1;
+  return (request.completedDate - started.changedAt) / (60 * 60 * 1000);
+};
+
+// Starting line items for a completed job: call-out fee and labour at the
+// engineer's rates. Falls back to a single line for the job's cost.
+const buildRequestLineItems = (request, engineer) => {
+  const items = [];
+  const profile = (engineer && engineer.engineerProfile) || {};
+  const calloutFee = Number(process.env.CALLOUT_FEE) || 0;
+
+  if (calloutFee > 0) {
+    items.push({
+      type: "callout",
+      description: "Emergency call-out",
+      quantity: 1,
+      unitPrice: calloutFee,
+    });
+  }
+
+  const firstHourRate = request.firstHourCost || profile.firstHourRate;
+  if (firstHourRate) {
+    return items.concat(
+      invoiceTotals.buildLabourItems({
+        hours: hoursWorked(request),
+        firstHourRate,
+        hourlyRate: profile.hourlyRate,
+      })
+    );
+  }
+
+  const cost = request.actualCost || request.estimatedCost;
+  if (cost) {
+    items.push({
+      type: "other",
+      description: request.title,
+      quantity: 1,
+      unitPrice: cost,
+    });
+  }
+  return items;
+};
+
+// Static method to create the draft invoice for a completed emergency
+// request. Returns the existing invoice if the job has already been billed.
+invoiceSchema.statics.createForRequest = async function (request) {
+  const existing = await this.findOne({ jobId: request._id });
+  if (existing) return existing;
+
+  const engineerId =
+    request.engineerId && (request.engineerId._id || request.engineerId);
+  const engineer = engineerId
+    ? await mongoose.model("User").findById(engineerId)
+    : null;
+
+  try {
+    return await this.create({
+      jobId: request._id,
+      customerId: request.customerId._id || request.customerId,
+      engineerId,
+      amount: request.actualCost || request.estimatedCost || 0,
+      lineItems: buildRequestLineItems(request, engineer),
+      status: "draft",
+    });
+  } catch (err) {
+    // Billed at the same time by another request
+    if (err.code === 11000 && err.keyPattern && err.keyPattern.jobId) {
+      return this.findOne({ jobId: request._id });
+    }
+    throw err;
+  }
+};
+
+const DEFAULT_PAYMENT_TERMS_DAYS = 14;
+
+// End of the day `termsDays` after `issuedDate`
+const calculateDueDate = (issuedDate, termsDays) => {
+  const days =
+    termsDays !== undefined && termsDays !== null
+      ? termsDays
+      : Number(process.env.PAYMENT_TERMS_DAYS) || DEFAULT_PAYMENT_TERMS_DAYS;
+  const dueDate = new Date(issuedDate);
+  dueDate.setDate(dueDate.getDate() + days);
+  dueDate.setHours(23, 59, 59, 999);
+  return dueDate;
+};
+
+// Instance method to issue a draft invoice to the customer. The number is
+// taken and the invoice saved in one transaction.
+invoiceSchema.methods.issue = async function () {
+  await this.constructor.db.transaction(async (session) => {
+    this.invoiceNumber = await this.constructor.generateInvoiceNumber(
+      this.entity,
+      session
+    );
+    this.status = "pending";
+    this.issuedDate = new Date();
+    this.dueDate = calculateDueDate(this.issuedDate, this.paymentTermsDays);
+    await this.save({ session });
   });
+  return this;
+};
 
-  return `INV-${year}-${String(count + 1).padStart(4, "0")}`;
+// Instance method to populate the customer, engineer and job for display
+invoiceSchema.methods.populateDetails = function () {
+  return this.populate([
+    { path: "customerId", select: "username email phoneNumber location" },
+    { path: "engineerId", select: "username email phoneNumber" },
+    { path: "jobId", select: "title description status completedDate" },
+  ]);
 };
 
 // Instance method to mark as paid with Stripe data
@@ -6,23 +6,40 @@ const otpSchema = new mongoose.Schema(
       type: String,
       required: true,
     },
-    otpCode: {
+    // HMAC of the code; the code itself is never stored
+    otpHash: {
       type: String,
       required: true,
     },
     userType: {
       type: String,
       required: true,
-      enum: ["host", "vendor", "signup"],
+      enum: ["customer", "engineer", "admin"],
     },
     userId: {
       type: mongoose.Schema.Types.ObjectId,
-      required: false, // Not required for signup scenarios
+      ref: "User",
+      required: true,
     },
-    expiresAt: {
+    // Wrong codes entered for this OTP
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    // Times a code has been sent; resends replace the code
+    sendCount: {
+      type: Number,
+      default: 1,
+    },
+    lastSentAt: {
       type: Date,
       default: Date.now,
-      expires: 300, // OTP expires in 5 minutes (300 seconds)
+    },
+    // The document is removed by MongoDB once this passes
+    expiresAt: {
+      type: Date,
+      required: true,
+      index: { expires: 0 },
     },
   },
   {
@@ -30,6 +47,10 @@ const otpSchema = new mongoose.Schema(
   }
 );
 
+// One live code per user. Databases from before this index (and the
+// per-document TTL above) need `npm run migrate:otp-indexes`.
+otpSchema.index({ userId: 1 }, { unique: true });
+
 const OTP = mongoose.model("OTP", otpSchema);
 
 module.exports = OTP;
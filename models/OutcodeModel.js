@@ -0,0 +1,30 @@
+const mongoose = require("mongoose");
+
+// Centroid of a UK postcode district, imported with scripts/importOutcodes.js
+const outcodeSchema = new mongoose.Schema({
+  outcode: {
+    type: String,
+    required: [true, "Outcode is required"],
+    unique: true,
+    uppercase: true,
+    trim: true,
+  },
+  location: {
+    type: {
+      type: String,
+      enum: ["Point"],
+      default: "Point",
+    },
+    // [longitude, latitude]
+    coordinates: {
+      type: [Number],
+      required: [true, "Coordinates are required"],
+    },
+  },
+});
+
+outcodeSchema.index({ location: "2dsphere" });
+
+const Outcode = mongoose.model("Outcode", outcodeSchema);
+
+module.exports = Outcode;
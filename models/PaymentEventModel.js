@@ -0,0 +1,30 @@
+const mongoose = require("mongoose");
+
+// Webhook events that have been processed, so retries are ignored
+const paymentEventSchema = new mongoose.Schema(
+  {
+    eventId: {
+      type: String,
+      required: [true, "Event ID is required"],
+      unique: true,
+    },
+    provider: {
+      type: String,
+      required: [true, "Provider is required"],
+    },
+    type: {
+      type: String,
+    },
+    invoiceId: {
+      type: mongoose.Schema.ObjectId,
+      ref: "Invoice",
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+const PaymentEvent = mongoose.model("PaymentEvent", paymentEventSchema);
+
+module.exports = PaymentEvent;
@@ -0,0 +1,29 @@
+const mongoose = require("mongoose");
+
+// Hit counters for the rate limiters, shared by every app instance
+const rateLimitSchema = new mongoose.Schema(
+  {
+    // "<limiter prefix><client key>"
+    _id: {
+      type: String,
+      required: [true, "Rate limit key is required"],
+    },
+    hits: {
+      type: Number,
+      default: 0,
+    },
+    // The counter starts again after this; MongoDB removes stale counters
+    resetAt: {
+      type: Date,
+      required: true,
+      index: { expires: 0 },
+    },
+  },
+  {
+    versionKey: false,
+  }
+);
+
+const RateLimit = mongoose.model("RateLimit", rateLimitSchema);
+
+module.exports = RateLimit;
@@ -0,0 +1,211 @@
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+
+// One signed-in device. The refresh token is `<session id>.<secret>`; only a
+// hash of the secret is stored, and it changes every time the token is used.
+const sessionSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.ObjectId,
+      ref: "User",
+      required: [true, "Session must belong to a user"],
+    },
+    refreshTokenHash: {
+      type: String,
+      required: true,
+      select: false,
+    },
+    userAgent: String,
+    device: String,
+    ip: String,
+    lastUsedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    // Removed by MongoDB once this passes
+    expiresAt: {
+      type: Date,
+      required: true,
+      index: { expires: 0 },
+    },
+    revokedAt: Date,
+    revokedReason: String,
+  },
+  {
+    timestamps: true,
+  }
+);
+
+sessionSchema.index({ userId: 1, revokedAt: 1 });
+
+const hashSecret = (secret) =>
+  crypto.createHash("sha256").update(secret).digest("hex");
+
+const newSecret = () => crypto.randomBytes(32).toString("hex");
+
+const getRefreshTokenDays = () =>
+  Number(process.env.REFRESH_TOKEN_EXPIRES_DAYS) || 30;
+
+const expiresFromNow = () =>
+  new Date(Date.now() + getRefreshTokenDays() * 24 * 60 * 60 * 1000);
+
+// A short label such as "Chrome on Windows" for the sessions list
+const describeDevice = (userAgent = "") => {
+  const browsers = [
+    ["Edg/", "Edge"],
+    ["OPR/", "Opera"],
+    ["Chrome/", "Chrome"],
+    ["Firefox/", "Firefox"],
+    ["Safari/", "Safari"],
+  ];
+  const systems = [
+    ["Windows", "Windows"],
+    ["iPhone", "iOS"],
+    ["iPad", "iOS"],
+    ["Android", "Android"],
+    ["Mac OS X", "macOS"],
+    ["Linux", "Linux"],
+  ];
+  const find = (list) =>
+    (list.find(([token]) => userAgent.includes(token)) || [])[1];
+
+  const browser = find(browsers);
+  const system = find(systems);
+  if (browser && system) return `${browser} on ${system}`;
+  return browser || system || "Unknown device";
+};
+
+const parseRefreshToken = (refreshToken) => {
+  const [sessionId, secret] = String(refreshToken || "").split(".");
+  if (!secret || !mongoose.isValidObjectId(sessionId)) return null;
+  return { sessionId, secret };
+};
+
+const clientDetails = (req) => {
+  const userAgent = req.get("user-agent") || "";
+  return { userAgent, device: describeDevice(userAgent), ip: req.ip };
+};
+
+// Start a session for `user` on the device making `req`. Resolves to
+// { session, refreshToken }.
+sessionSchema.statics.start = async function (user, req) {
+  const secret = newSecret();
+  const session = await this.create({
+    userId: user._id,
+    refreshTokenHash: hashSecret(secret),
+    expiresAt: expiresFromNow(),
+    ...clientDetails(req),
+  });
+
+  return { session, refreshToken: `${session._id}.${secret}` };
+};
+
+// Swap a refresh token for a new one. A token that has already been used
+// means it was copied, so the whole session is revoked. Resolves to
+// { session, refreshToken }, or { reused: true } / null when it can't be used.
+sessionSchema.statics.rotate = async function (refreshToken, req) {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) return null;
+
+  const session = await this.findById(parsed.sessionId).select(
+    "+refreshTokenHash"
+  );
+  if (!session || session.revokedAt || session.expiresAt <= new Date()) {
+    return null;
+  }
+
+  const secret = newSecret();
+  const rotated = await this.findOneAndUpdate(
+    {
+      _id: session._id,
+      refreshTokenHash: hashSecret(parsed.secret),
+      revokedAt: null,
+    },
+    {
+      refreshTokenHash: hashSecret(secret),
+      lastUsedAt: new Date(),
+      expiresAt: expiresFromNow(),
+      ...clientDetails(req),
+    },
+    { new: true }
+  );
+
+  if (!rotated) {
+    await session.revoke("Refresh token reused");
+    return { reused: true, session };
+  }
+
+  return { session: rotated, refreshToken: `${rotated._id}.${secret}` };
+};
+
+// The session for a refresh token, if the token is the current one
+sessionSchema.statics.findByRefreshToken = function (refreshToken) {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) return null;
+
+  return this.findOne({
+    _id: parsed.sessionId,
+    refreshTokenHash: hashSecret(parsed.secret),
+  });
+};
+
+// The session if it still belongs to the user and hasn't ended
+sessionSchema.statics.findActive = function (sessionId, userId) {
+  if (!mongoose.isValidObjectId(sessionId)) return null;
+
+  return this.findOne({
+    _id: sessionId,
+    userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  });
+};
+
+sessionSchema.statics.listActive = function (userId) {
+  return this.find({
+    userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  }).sort({ lastUsedAt: -1 });
+};
+
+// Revoke every session the user has, optionally keeping one
+sessionSchema.statics.revokeAll = function (userId, reason, exceptSessionId) {
+  const filter = { userId, revokedAt: null };
+  if (exceptSessionId) filter._id = { $ne: exceptSessionId };
+
+  return this.updateMany(filter, {
+    revokedAt: new Date(),
+    revokedReason: reason,
+  });
+};
+
+sessionSchema.methods.revoke = function (reason) {
+  return this.constructor.updateOne(
+    { _id: this._id, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+};
+
+// Record activity at most once a minute to keep writes down
+sessionSchema.methods.touch = function () {
+  if (Date.now() - this.lastUsedAt.getTime() < 60 * 1000) return null;
+
+  this.lastUsedAt = new Date();
+  return this.constructor.updateOne(
+    { _id: this._id },
+    { lastUsedAt: this.lastUsedAt }
+  );
+};
+
+sessionSchema.set("toJSON", {
+  transform: (doc, ret) => {
+    delete ret.refreshTokenHash;
+    delete ret.__v;
+    return ret;
+  },
+});
+
+const Session = mongoose.model("Session", sessionSchema);
+
+module.exports = Session;
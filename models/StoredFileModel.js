@@ -0,0 +1,41 @@
+const mongoose = require("mongoose");
+
+// One uploaded file, so storage quotas can be enforced per user
+const storedFileSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    ownerId: {
+      type: mongoose.Schema.ObjectId,
+      ref: "User",
+      index: true,
+    },
+    field: String,
+    originalName: String,
+    contentType: String,
+    size: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+// Total bytes stored by a user
+storedFileSchema.statics.usageFor = async function (ownerId) {
+  const [usage] = await this.aggregate([
+    { $match: { ownerId: new mongoose.Types.ObjectId(String(ownerId)) } },
+    { $group: { _id: null, bytes: { $sum: "$size" } } },
+  ]);
+  return usage ? usage.bytes : 0;
+};
+
+const StoredFile = mongoose.model("StoredFile", storedFileSchema);
+
+module.exports = StoredFile;
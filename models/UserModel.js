@@ -1,6 +1,202 @@
 const mongoose = require("mongoose");
 const bcrypt = require("bcryptjs");
 const crypto = require("crypto");
+const { geocodePostcode } = require("../utils/geocoding");
+
+// UK postcode district (outward code), e.g. "SW1A", "M1", "EH12"
+const postcodeDistrictRegex = /^[A-Z]{1,2}[0-9][A-Z0-9]?$/;
+
+const timeRegex = /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/;
+
+const workingHoursSchema = new mongoose.Schema(
+  {
+    // 0 = Sunday ... 6 = Saturday
+    day: {
+      type: Number,
+      required: [true, "Please provide the day of the week"],
+      min: 0,
+      max: 6,
+    },
+    startTime: {
+      type: String,
+      required: [true, "Please provide a start time"],
+      match: [timeRegex, "Start time must be in HH:MM format"],
+    },
+    endTime: {
+      type: String,
+      required: [true, "Please provide an end time"],
+      match: [timeRegex, "End time must be in HH:MM format"],
+    },
+  },
+  { _id: false }
+);
+
+const timeOffSchema = new mongoose.Schema({
+  start: {
+    type: Date,
+    required: [true, "Please provide when the time off starts"],
+  },
+  end: {
+    type: Date,
+    required: [true, "Please provide when the time off ends"],
+    validate: {
+      validator: function (end) {
+        // `this` is the query, not the time off entry, in update validators
+        return !(this.start instanceof Date) || end > this.start;
+      },
+      message: "Time off must end after it starts",
+    },
+  },
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: [200, "Reason cannot be more than 200 characters"],
+  },
+});
+
+// A credential expiry warning sent to the engineer and admins
+const credentialAlertSchema = new mongoose.Schema(
+  {
+    credential: {
+      type: String,
+      enum: ["gasSafe", "insurance"],
+      required: true,
+    },
+    expiryDate: {
+      type: Date,
+      required: true,
+    },
+    // The warning stage, e.g. 30 for "30 days before"; 0 once it has lapsed
+    daysBefore: {
+      type: Number,
+      required: true,
+    },
+    sentAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
+const engineerProfileSchema = new mongoose.Schema(
+  {
+    skills: {
+      type: [String],
+      default: [],
+      set: (skills) =>
+        Array.isArray(skills)
+          ? skills.map((skill) => String(skill).trim().toLowerCase())
+          : skills,
+    },
+    serviceAreas: {
+      type: [String],
+      default: [],
+      set: (areas) =>
+        Array.isArray(areas)
+          ? areas.map((area) => String(area).trim().toUpperCase())
+          : areas,
+      validate: {
+        validator: function (areas) {
+          return areas.every((area) => postcodeDistrictRegex.test(area));
+        },
+        message: "Service areas must be UK postcode districts (e.g. SW1A, M1)",
+      },
+    },
+    hourlyRate: {
+      type: Number,
+      min: [0, "Hourly rate cannot be negative"],
+    },
+    firstHourRate: {
+      type: Number,
+      min: [0, "First hour rate cannot be negative"],
+    },
+    gasSafe: {
+      registrationNumber: {
+        type: String,
+        trim: true,
+        validate: {
+          validator: function (number) {
+            // Gas Safe registration numbers are 6 or 7 digits
+            return /^[0-9]{6,7}$/.test(number);
+          },
+          message: "Gas Safe registration number must be 6 or 7 digits",
+        },
+      },
+      expiryDate: Date,
+    },
+    // Public liability insurance certificate
+    insurance: {
+      provider: {
+        type: String,
+        trim: true,
+      },
+      policyNumber: {
+        type: String,
+        trim: true,
+      },
+      expiryDate: Date,
+    },
+    // Expiry warnings already sent, so each one goes out once per expiry date
+    credentialAlerts: {
+      type: [credentialAlertSchema],
+      default: [],
+      select: false,
+    },
+    // Weekly working pattern. Defaults apply when none has been published
+    workingHours: {
+      type: [workingHoursSchema],
+      default: [],
+    },
+    timeOff: {
+      type: [timeOffSchema],
+      default: [],
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    // Set by an admin once the Gas Safe registration has been checked
+    verified: {
+      type: Boolean,
+      default: false,
+    },
+    verifiedAt: Date,
+    verifiedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    // Set when an admin approves the engineer's onboarding application
+    approved: {
+      type: Boolean,
+      default: false,
+    },
+    approvedAt: Date,
+    // Set by the credential expiry job while a credential has lapsed
+    suspended: {
+      type: Boolean,
+      default: false,
+    },
+    suspendedAt: Date,
+    suspendedReason: String,
+  },
+  { _id: false }
+);
+
+// Two-factor authentication secrets. Never selected unless asked for.
+const twoFactorSchema = new mongoose.Schema(
+  {
+    // Encrypted TOTP secret, and the one waiting for its first code
+    secret: String,
+    pendingSecret: String,
+    // Hashes of the unused one-time recovery codes
+    recoveryCodes: [String],
+    // Last TOTP time step accepted, so a code can't be used twice
+    lastUsedStep: Number,
+    enabledAt: Date,
+  },
+  { _id: false }
+);
 
 const userSchema = new mongoose.Schema(
   {
@@ -58,6 +254,27 @@ const userSchema = new mongoose.Schema(
         message: "Please provide a valid UK phone number",
       },
     },
+    // Set once the user confirms a code texted to phoneNumber
+    phoneVerified: {
+      type: Boolean,
+      default: false,
+    },
+    phoneVerifiedAt: Date,
+    // Set once the user follows the link emailed to them at signup
+    emailVerified: {
+      type: Boolean,
+      default: false,
+    },
+    emailVerifiedAt: Date,
+    emailVerificationToken: {
+      type: String,
+      select: false,
+    },
+    emailVerificationExpires: {
+      type: Date,
+      select: false,
+    },
+    emailVerificationSentAt: Date,
     location: {
       address: {
         type: String,
@@ -89,6 +306,58 @@ const userSchema = new mongoose.Schema(
         default: "United Kingdom",
         trim: true,
       },
+      // Set from the postcode via utils/geocoding
+      geo: {
+        type: {
+          type: String,
+          enum: ["Point"],
+        },
+        // [longitude, latitude]
+        coordinates: {
+          type: [Number],
+          default: undefined,
+        },
+      },
+    },
+    // Only used when role is "engineer"
+    engineerProfile: {
+      type: engineerProfileSchema,
+      default: undefined,
+    },
+    // Deactivated accounts can't log in; admins can reactivate them
+    active: {
+      type: Boolean,
+      default: true,
+    },
+    deactivatedAt: Date,
+    deactivatedBy: {
+      type: mongoose.Schema.ObjectId,
+      ref: "User",
+    },
+    twoFactorEnabled: {
+      type: Boolean,
+      default: false,
+    },
+    twoFactor: {
+      type: twoFactorSchema,
+      select: false,
+    },
+    // Login lockout: failed passwords since the last success, how many
+    // times the account has been locked (each lock lasts twice as long) and
+    // when the current lock ends
+    failedLoginAttempts: {
+      type: Number,
+      default: 0,
+      select: false,
+    },
+    lockoutCount: {
+      type: Number,
+      default: 0,
+      select: false,
+    },
+    lockedUntil: {
+      type: Date,
+      select: false,
     },
     passwordChangedAt: Date,
     passwordResetToken: String,
@@ -102,6 +371,17 @@ const userSchema = new mongoose.Schema(
 // Index for better performance
 userSchema.index({ email: 1 });
 userSchema.index({ username: 1 });
+userSchema.index({ "location.geo": "2dsphere" });
+userSchema.index({ "engineerProfile.skills": 1 });
+userSchema.index({ "engineerProfile.serviceAreas": 1 });
+
+userSchema.pre("save", async function (next) {
+  if (!this.isModified("location.zipCode")) return next();
+
+  const point = await geocodePostcode(this.location.zipCode);
+  this.location.geo = point || undefined;
+  next();
+});
 
 userSchema.pre("save", async function (next) {
   if (!this.isModified("password")) return next();
@@ -136,6 +416,55 @@ userSchema.methods.changedPasswordAfter = function (JWTTimestamp) {
   return false;
 };
 
+const lockoutSetting = (name, fallback) =>
+  Number(process.env[name]) || fallback;
+
+userSchema.methods.isLocked = function () {
+  return Boolean(this.lockedUntil && this.lockedUntil > Date.now());
+};
+
+// Record a wrong password. Once LOGIN_MAX_ATTEMPTS is reached the account is
+// locked, for LOGIN_LOCKOUT_MINUTES doubling with every lock up to
+// LOGIN_LOCKOUT_MAX_MINUTES. Resolves to the lock end when this call locked it.
+userSchema.methods.registerFailedLogin = async function () {
+  const maxAttempts = lockoutSetting("LOGIN_MAX_ATTEMPTS", 5);
+
+  const counted = await this.constructor
+    .findByIdAndUpdate(
+      this._id,
+      { $inc: { failedLoginAttempts: 1 } },
+      { new: true }
+    )
+    .select("+failedLoginAttempts +lockoutCount");
+  if (!counted || counted.failedLoginAttempts < maxAttempts) return null;
+
+  const minutes = Math.min(
+    lockoutSetting("LOGIN_LOCKOUT_MINUTES", 15) * 2 ** counted.lockoutCount,
+    lockoutSetting("LOGIN_LOCKOUT_MAX_MINUTES", 24 * 60)
+  );
+  const lockedUntil = new Date(Date.now() + minutes * 60 * 1000);
+
+  // Only one of several parallel failures gets to lock the account
+  const locked = await this.constructor.updateOne(
+    { _id: this._id, failedLoginAttempts: { $gte: maxAttempts } },
+    {
+      $set: { failedLoginAttempts: 0, lockedUntil },
+      $inc: { lockoutCount: 1 },
+    }
+  );
+  return locked.modifiedCount ? lockedUntil : null;
+};
+
+userSchema.methods.clearFailedLogins = function () {
+  return this.constructor.updateOne(
+    { _id: this._id },
+    {
+      $set: { failedLoginAttempts: 0, lockoutCount: 0 },
+      $unset: { lockedUntil: 1 },
+    }
+  );
+};
+
 userSchema.methods.createPasswordResetToken = function () {
   const resetToken = crypto.randomBytes(32).toString("hex");
 
@@ -149,6 +478,75 @@ userSchema.methods.createPasswordResetToken = function () {
   return resetToken;
 };
 
+userSchema.methods.createEmailVerificationToken = function () {
+  const verificationToken = crypto.randomBytes(32).toString("hex");
+
+  this.emailVerificationToken = crypto
+    .createHash("sha256")
+    .update(verificationToken)
+    .digest("hex");
+
+  this.emailVerificationExpires = Date.now() + 24 * 60 * 60 * 1000; // 24 hours
+  this.emailVerificationSentAt = Date.now();
+
+  return verificationToken;
+};
+
+userSchema.methods.hasValidGasSafe = function () {
+  const gasSafe = this.engineerProfile && this.engineerProfile.gasSafe;
+  if (!gasSafe || !gasSafe.registrationNumber || !gasSafe.expiryDate) {
+    return false;
+  }
+  return gasSafe.expiryDate > Date.now();
+};
+
+// Engineer credentials that expire, with the name used in messages
+const CREDENTIALS = {
+  gasSafe: "Gas Safe registration",
+  insurance: "insurance certificate",
+};
+
+// Credentials whose expiry date has passed by `date`
+userSchema.methods.lapsedCredentials = function (date = new Date()) {
+  const profile = this.engineerProfile || {};
+  return Object.keys(CREDENTIALS).filter(
+    (key) => profile[key] && profile[key].expiryDate <= date
+  );
+};
+
+// Engineers who can currently be offered jobs, narrowed by `filter`.
+// Keep in line with isDispatchable below.
+userSchema.statics.findDispatchable = function (filter = {}) {
+  return this.find({
+    ...filter,
+    role: "engineer",
+    active: { $ne: false },
+    "engineerProfile.approved": true,
+    "engineerProfile.isActive": true,
+    "engineerProfile.verified": true,
+    "engineerProfile.suspended": { $ne: true },
+    "engineerProfile.gasSafe.expiryDate": { $gt: new Date() },
+    "engineerProfile.insurance.expiryDate": { $not: { $lte: new Date() } },
+  });
+};
+
+// Whether the engineer can currently be offered jobs
+userSchema.methods.isDispatchable = function () {
+  return (
+    this.role === "engineer" &&
+    this.active !== false &&
+    Boolean(this.engineerProfile) &&
+    this.engineerProfile.approved &&
+    this.engineerProfile.isActive &&
+    this.engineerProfile.verified &&
+    !this.engineerProfile.suspended &&
+    this.hasValidGasSafe() &&
+    this.lapsedCredentials().length === 0
+  );
+};
+
 const User = mongoose.model("User", userSchema);
 
+User.CREDENTIALS = CREDENTIALS;
+
 module.exports = User;
@@ -1,5 +1,13 @@
 const express = require("express");
 const authController = require("../controllers/authController");
+const engineerController = require("../controllers/engineerController");
+const twoFactorController = require("../controllers/twoFactorController");
+const {
+  loginLimiter,
+  forgotPasswordLimiter,
+  resetPasswordLimiter,
+  twoFactorLimiter,
+} = require("../utils/rateLimiters");
 
 const router = express.Router();
 
@@ -7,12 +15,29 @@ const router = express.Router();
 router.post("/signup/user", authController.signupUser);
 
 // Login routes
-router.post("/login", authController.login); // Email/password login for user
+router.post("/login", loginLimiter, authController.login); // Email/password login for user
+router.post("/login/2fa", twoFactorLimiter, authController.loginTwoFactor);
 
 // Existing routes (no changes)
 router.get("/logout", authController.logout);
-router.post("/forgotPassword", authController.forgotPassword);
-router.patch("/resetPassword/:token", authController.resetPassword);
+router.post("/refresh", authController.refreshToken);
+router.post(
+  "/forgotPassword",
+  forgotPasswordLimiter,
+  authController.forgotPassword
+);
+router.patch(
+  "/resetPassword/:token",
+  resetPasswordLimiter,
+  authController.resetPassword
+);
+router.patch("/verifyEmail/:token", authController.verifyEmail);
+
+// Still usable by users who have to set up two-factor first
+router.use(
+  ["/me", "/2fa/status", "/2fa/setup", "/2fa/enable", "/sessions"],
+  authController.allowTwoFactorSetup
+);
 
 // Protect all routes after this middleware
 router.use(authController.protect);
@@ -24,4 +49,42 @@ router.patch(
 );
 router.patch("/updateMe", authController.protect, authController.updateMe);
 
+router.post("/resendVerificationEmail", authController.resendVerificationEmail);
+
+// Signed-in devices
+router
+  .route("/sessions")
+  .get(authController.getMySessions)
+  .delete(authController.revokeAllSessions);
+router.delete("/sessions/:id", authController.revokeSession);
+
+// Two-factor authentication (TOTP)
+router.get("/2fa/status", twoFactorController.getStatus);
+router.post("/2fa/setup", twoFactorController.setup);
+router.post("/2fa/enable", twoFactorController.enable);
+router.post("/2fa/disable", twoFactorController.disable);
+router.post("/2fa/recovery-codes", twoFactorController.regenerateRecoveryCodes);
+router.post(
+  "/2fa/reset/:id",
+  authController.restrictTo("admin"),
+  twoFactorController.loadResetTarget,
+  twoFactorController.resetForUser
+);
+
+// Phone number verification by SMS code
+router.post("/sendPhoneOTP", authController.sendPhoneOTP);
+router.post("/verifyPhoneOTP", authController.verifyPhoneOTP);
+
+// Engineer profile (skills, service areas, rates, Gas Safe details)
+router.get(
+  "/myEngineerProfile",
+  authController.restrictTo("engineer"),
+  engineerController.getMyProfile
+);
+router.patch(
+  "/updateMyEngineerProfile",
+  authController.restrictTo("engineer"),
+  engineerController.updateMyProfile
+);
+
 module.exports = router;
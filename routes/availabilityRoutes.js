@@ -0,0 +1,9 @@
+const express = require("express");
+const availabilityController = require("../controllers/availabilityController");
+
+const router = express.Router();
+
+// Public: lets the frontend show real availability before signup
+router.get("/slots", availabilityController.getSlots);
+
+module.exports = router;
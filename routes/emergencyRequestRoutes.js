@@ -0,0 +1,135 @@
+const express = require("express");
+const authController = require("../controllers/authController");
+const emergencyRequestController = require("../controllers/emergencyRequestController");
+const { resolveNearQuery } = require("../utils/geocoding");
+const { uploadMultipleImages } = require("../utils/fileUpload");
+
+const router = express.Router();
+
+// All emergency request routes require a logged in user
+router.use(authController.protect);
+
+router.get(
+  "/my-requests",
+  authController.restrictTo("customer"),
+  emergencyRequestController.getMyRequests
+);
+router.get(
+  "/my-jobs",
+  authController.restrictTo("engineer"),
+  emergencyRequestController.getMyJobs
+);
+router.get(
+  "/stats",
+  authController.restrictTo("admin"),
+  emergencyRequestController.getStats
+);
+
+router
+  .route("/")
+  .get(
+    emergencyRequestController.scopeToUser,
+    resolveNearQuery,
+    emergencyRequestController.getAllEmergencyRequests
+  )
+  .post(
+    authController.restrictTo("customer", "admin"),
+    authController.requireVerifiedEmail,
+    emergencyRequestController.prepareCreate,
+    emergencyRequestController.createEmergencyRequest
+  );
+
+router
+  .route("/:id")
+  .get(
+    emergencyRequestController.loadRequest,
+    emergencyRequestController.getEmergencyRequest
+  )
+  .patch(
+    authController.restrictTo("admin"),
+    emergencyRequestController.blockStatusEdits,
+    emergencyRequestController.updateEmergencyRequest
+  )
+  .delete(
+    authController.restrictTo("admin"),
+    emergencyRequestController.deleteEmergencyRequest
+  );
+
+// Job lifecycle actions
+router.get(
+  "/:id/history",
+  emergencyRequestController.loadRequest,
+  emergencyRequestController.getStatusHistory
+);
+router.patch(
+  "/:id/status",
+  emergencyRequestController.loadRequest,
+  emergencyRequestController.changeStatus
+);
+router.patch(
+  "/:id/assign",
+  authController.restrictTo("admin"),
+  emergencyRequestController.loadRequest,
+  emergencyRequestController.assignEngineer
+);
+router.get(
+  "/:id/matches",
+  authController.restrictTo("admin"),
+  emergencyRequestController.loadRequest,
+  emergencyRequestController.getMatches
+);
+router.patch(
+  "/:id/auto-assign",
+  authController.restrictTo("admin"),
+  emergencyRequestController.loadRequest,
+  emergencyRequestController.autoAssignEngineer
+);
+router.patch(
+  "/:id/unassign",
+  authController.restrictTo("engineer", "admin"),
+  emergencyRequestController.loadRequest,
+  emergencyRequestController.unassignEngineer
+);
+router.patch(
+  "/:id/schedule",
+  authController.restrictTo("engineer", "admin"),
+  emergencyRequestController.loadRequest,
+  emergencyRequestController.scheduleRequest
+);
+router.patch(
+  "/:id/start",
+  authController.restrictTo("engineer", "admin"),
+  emergencyRequestController.loadRequest,
+  emergencyRequestController.startWork
+);
+router.patch(
+  "/:id/complete",
+  authController.restrictTo("engineer", "admin"),
+  emergencyRequestController.loadRequest,
+  emergencyRequestController.markCompleted
+);
+router.patch(
+  "/:id/cancel",
+  authController.restrictTo("customer", "admin"),
+  emergencyRequestController.loadRequest,
+  emergencyRequestController.cancelRequest
+);
+
+// Photos of the problem, up to 10, while the request is pending
+router.post(
+  "/:id/photos",
+  authController.restrictTo("customer", "admin"),
+  emergencyRequestController.loadRequest,
+  emergencyRequestController.checkPhotosEditable,
+  uploadMultipleImages,
+  emergencyRequestController.addPhotos
+);
+router.delete(
+  "/:id/photos/:photoId",
+  authController.restrictTo("customer", "admin"),
+  emergencyRequestController.loadRequest,
+  emergencyRequestController.checkPhotosEditable,
+  emergencyRequestController.removePhoto
+);
+
+module.exports = router;
@@ -0,0 +1,41 @@
+const express = require("express");
+const authController = require("../controllers/authController");
+const engineerApplicationController = require("../controllers/engineerApplicationController");
+const { uploadVendorFiles } = require("../utils/fileUpload");
+
+const router = express.Router();
+
+router.use(authController.protect);
+
+// Engineers apply with their documents (multipart/form-data)
+router
+  .route("/me")
+  .get(
+    authController.restrictTo("engineer"),
+    engineerApplicationController.getMyApplication
+  )
+  .patch(
+    authController.restrictTo("engineer"),
+    uploadVendorFiles,
+    engineerApplicationController.updateMyApplication
+  );
+router.post(
+  "/",
+  authController.restrictTo("engineer"),
+  uploadVendorFiles,
+  engineerApplicationController.submitApplication
+);
+
+// Review queue, e.g. ?status=submitted&sort=submittedAt
+router.use(authController.restrictTo("admin"));
+
+router.get("/", engineerApplicationController.getAllApplications);
+router.get("/:id", engineerApplicationController.getApplication);
+router.patch("/:id/approve", engineerApplicationController.approveApplication);
+router.patch("/:id/reject", engineerApplicationController.rejectApplication);
+router.patch(
+  "/:id/request-changes",
+  engineerApplicationController.requestChanges
+);
+
+module.exports = router;
@@ -0,0 +1,21 @@
+const express = require("express");
+const authController = require("../controllers/authController");
+const engineerController = require("../controllers/engineerController");
+const { resolveNearQuery } = require("../utils/geocoding");
+
+const router = express.Router();
+
+// Engineer profiles are managed by admins
+router.use(authController.protect, authController.restrictTo("admin"));
+
+router.get(
+  "/",
+  engineerController.setEngineerFilter,
+  resolveNearQuery,
+  engineerController.getAllEngineers
+);
+router.get("/credential-expiries", engineerController.getCredentialExpiries);
+router.get("/:id", engineerController.getEngineer);
+router.patch("/:id/verify", engineerController.verifyEngineer);
+
+module.exports = router;
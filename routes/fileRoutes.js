@@ -0,0 +1,11 @@
+const express = require("express");
+const authController = require("../controllers/authController");
+const fileController = require("../controllers/fileController");
+
+const router = express.Router();
+
+// e.g. GET /files/url?key=private/documents/<user id>/cv-123.pdf
+router.get("/url", authController.protect, fileController.getDownloadUrl);
+router.get("/download", fileController.download);
+
+module.exports = router;
@@ -0,0 +1,66 @@
+const express = require("express");
+const authController = require("../controllers/authController");
+const invoiceController = require("../controllers/invoiceController");
+
+const router = express.Router();
+
+// All invoice routes require a logged in user
+router.use(authController.protect);
+
+router
+  .route("/")
+  .get(invoiceController.scopeToUser, invoiceController.getAllInvoices)
+  .post(authController.restrictTo("admin"), invoiceController.createInvoice);
+
+router.post(
+  "/reminders/run",
+  authController.restrictTo("admin"),
+  invoiceController.runReminders
+);
+
+router
+  .route("/:id")
+  .get(invoiceController.loadInvoice, invoiceController.getInvoice)
+  .patch(
+    authController.restrictTo("admin"),
+    invoiceController.loadInvoice,
+    invoiceController.updateInvoice
+  )
+  .delete(
+    authController.restrictTo("admin"),
+    invoiceController.loadInvoice,
+    invoiceController.deleteInvoice
+  );
+
+router.get(
+  "/:id/pdf",
+  invoiceController.loadInvoice,
+  invoiceController.getInvoicePdf
+);
+router.patch(
+  "/:id/issue",
+  authController.restrictTo("admin"),
+  invoiceController.loadInvoice,
+  invoiceController.issueInvoice
+);
+router.patch(
+  "/:id/cancel",
+  authController.restrictTo("admin"),
+  invoiceController.loadInvoice,
+  invoiceController.cancelInvoice
+);
+
+// Refunds and the credit notes they produce
+router.get(
+  "/:id/credit-notes",
+  invoiceController.loadInvoice,
+  invoiceController.getCreditNotes
+);
+router.post(
+  "/:id/refunds",
+  authController.restrictTo("admin"),
+  invoiceController.loadInvoice,
+  invoiceController.refundInvoice
+);
+
+module.exports = router;
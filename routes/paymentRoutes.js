@@ -0,0 +1,23 @@
+const express = require("express");
+const authController = require("../controllers/authController");
+const paymentController = require("../controllers/paymentController");
+
+const router = express.Router();
+
+// The provider webhook is mounted in index.js, ahead of the JSON body parser
+
+router.use(authController.protect);
+
+router.post(
+  "/invoices/:id/intent",
+  authController.restrictTo("customer"),
+  authController.requireVerifiedEmail,
+  paymentController.createPaymentIntent
+);
+router.post(
+  "/invoices/:id/simulate",
+  authController.restrictTo("customer", "admin"),
+  paymentController.simulatePayment
+);
+
+module.exports = router;
@@ -0,0 +1,57 @@
+const express = require("express");
+const authController = require("../controllers/authController");
+const userController = require("../controllers/userController");
+const { auditAfterSuccess } = require("../utils/auditLog");
+
+const router = express.Router();
+
+// User management is for admins only
+router.use(authController.protect, authController.restrictTo("admin"));
+
+router.get("/", userController.setSearch, userController.getAllUsers);
+router.get("/audit-log", userController.getAuditLog);
+
+router
+  .route("/:id")
+  .get(userController.getUser)
+  .patch(
+    authController.adminProtection,
+    userController.filterUpdate,
+    auditAfterSuccess("user.update"),
+    userController.updateProfile
+  )
+  .delete(
+    authController.adminProtection,
+    userController.prepareDelete,
+    auditAfterSuccess("user.delete"),
+    userController.deleteUser
+  );
+
+router.get(
+  "/:id/audit-log",
+  userController.setAuditTarget,
+  userController.getAuditLog
+);
+router.patch(
+  "/:id/role",
+  authController.adminProtection,
+  userController.prepareRoleChange,
+  auditAfterSuccess("user.role"),
+  userController.updateUser
+);
+router.patch(
+  "/:id/deactivate",
+  authController.adminProtection,
+  userController.prepareDeactivate,
+  auditAfterSuccess("user.deactivate"),
+  userController.updateUser
+);
+router.patch(
+  "/:id/reactivate",
+  authController.adminProtection,
+  userController.prepareReactivate,
+  auditAfterSuccess("user.reactivate"),
+  userController.updateUser
+);
+
+module.exports = router;
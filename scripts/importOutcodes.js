@@ -0,0 +1,145 @@
+/**
+ * Import UK postcode district centroids into the Outcode collection.
+ *
+ * Usage: npm run import:outcodes -- [path/to/outcodes.csv]
+ * (defaults to data/outcodes.csv)
+ *
+ * The CSV needs a header row with an outcode column ("outcode" or
+ * "postcode") and "latitude"/"longitude" columns, which matches the freely
+ * available UK outcode centroid datasets. Existing outcodes are updated in
+ * place, so the import can be re-run with a newer file.
+ *
+ * The file is not kept in the repository: download a UK postcode district
+ * (outcode) centroid CSV, e.g. one derived from the ONS Postcode Directory
+ * under the Open Government Licence, and save it as data/outcodes.csv. Until
+ * it has been imported, postcodes can't be geocoded: users and requests are
+ * saved without coordinates, matching can't score by distance and ?near=
+ * searches are rejected.
+ */
+const fs = require("fs");
+const path = require("path");
+const mongoose = require("mongoose");
+const dotenv = require("dotenv");
+
+dotenv.config({ path: path.join(__dirname, "../config.env") });
+
+const Outcode = require("../models/OutcodeModel");
+
+const BATCH_SIZE = 500;
+
+// Split one CSV line into its fields. Quoted fields may contain commas, and
+// "" inside quotes is a literal quote.
+const parseLine = (line) => {
+  const values = [];
+  let value = "";
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i += 1) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        value += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        value += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      values.push(value);
+      value = "";
+    } else {
+      value += char;
+    }
+  }
+  values.push(value);
+  return values;
+};
+
+const parseCsv = (content) => {
+  const [headerLine, ...lines] = content.split(/\r?\n/).filter(Boolean);
+  const headers = parseLine(headerLine).map((header) =>
+    header.trim().toLowerCase()
+  );
+
+  const outcodeIndex = headers.findIndex((header) =>
+    ["outcode", "postcode"].includes(header)
+  );
+  const latIndex = headers.indexOf("latitude");
+  const lngIndex = headers.indexOf("longitude");
+
+  if (outcodeIndex === -1 || latIndex === -1 || lngIndex === -1) {
+    throw new Error(
+      "CSV must have outcode (or postcode), latitude and longitude columns"
+    );
+  }
+
+  const rows = [];
+  lines.forEach((line, index) => {
+    const values = parseLine(line);
+    // A row that doesn't line up with the header would import the wrong
+    // coordinates, so it is left out
+    if (values.length !== headers.length) {
+      console.warn(
+        `Line ${index + 2}: expected ${headers.length} columns, found ${
+          values.length
+        }, skipped`
+      );
+      return;
+    }
+
+    const row = {
+      outcode: values[outcodeIndex].trim().toUpperCase(),
+      lat: parseFloat(values[latIndex]),
+      lng: parseFloat(values[lngIndex]),
+    };
+    if (row.outcode && !Number.isNaN(row.lat) && !Number.isNaN(row.lng)) {
+      rows.push(row);
+    }
+  });
+  return rows;
+};
+
+const run = async () => {
+  const file = process.argv[2] || path.join(__dirname, "../data/outcodes.csv");
+  if (!fs.existsSync(file)) {
+    throw new Error(`Outcode CSV not found: ${file}`);
+  }
+
+  const rows = parseCsv(fs.readFileSync(file, "utf8"));
+  console.log(`Importing ${rows.length} outcodes...`);
+
+  const DB = process.env.DATABASE.replace(
+    "<PASSWORD>",
+    process.env.DATABASE_PASSWORD
+  );
+  await mongoose.connect(DB);
+  await Outcode.syncIndexes();
+
+  for (let i = 0; i < rows.length; i += BATCH_SIZE) {
+    const batch = rows.slice(i, i + BATCH_SIZE).map((row) => ({
+      updateOne: {
+        filter: { outcode: row.outcode },
+        update: {
+          $set: {
+            outcode: row.outcode,
+            location: { type: "Point", coordinates: [row.lng, row.lat] },
+          },
+        },
+        upsert: true,
+      },
+    }));
+    await Outcode.bulkWrite(batch);
+  }
+
+  console.log("Outcode import complete!");
+};
+
+run()
+  .catch((err) => {
+    console.error("Outcode import failed:", err.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
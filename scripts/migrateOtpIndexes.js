@@ -0,0 +1,77 @@
+/**
+ * Bring the OTP collection in line with the current schema. Codes from
+ * before hashing (plain otpCode, or no userId) can't be verified any more and
+ * are removed, only the latest code per user is kept so the unique userId
+ * index can be built, and the old 5 minute TTL index on expiresAt is replaced
+ * by one that expires each code at its own expiresAt. Safe to run more than
+ * once.
+ *
+ * Usage: npm run migrate:otp-indexes
+ */
+const path = require("path");
+const mongoose = require("mongoose");
+const dotenv = require("dotenv");
+
+dotenv.config({ path: path.join(__dirname, "../config.env") });
+
+const OTP = require("../models/OTPModel");
+
+const removeLegacyCodes = async () => {
+  const result = await OTP.deleteMany({
+    $or: [{ otpHash: { $exists: false } }, { userId: null }],
+  });
+  return result.deletedCount;
+};
+
+// Keep each user's most recently sent code
+const removeDuplicates = async () => {
+  const duplicates = await OTP.aggregate([
+    { $sort: { lastSentAt: -1, createdAt: -1 } },
+    { $group: { _id: "$userId", ids: { $push: "$_id" } } },
+    { $match: { "ids.1": { $exists: true } } },
+  ]);
+
+  const extra = duplicates.flatMap((group) => group.ids.slice(1));
+  if (extra.length === 0) return 0;
+
+  const result = await OTP.deleteMany({ _id: { $in: extra } });
+  return result.deletedCount;
+};
+
+// The old index has the same name with different options, which
+// syncIndexes won't replace on its own
+const dropOldTtlIndex = async () => {
+  const indexes = await OTP.collection.indexes();
+  const old = indexes.find(
+    (index) => index.key.expiresAt && index.expireAfterSeconds !== 0
+  );
+  if (!old) return false;
+
+  await OTP.collection.dropIndex(old.name);
+  return true;
+};
+
+const run = async () => {
+  const DB = process.env.DATABASE.replace(
+    "<PASSWORD>",
+    process.env.DATABASE_PASSWORD
+  );
+  await mongoose.connect(DB);
+
+  const legacy = await removeLegacyCodes();
+  const duplicates = await removeDuplicates();
+  const droppedTtl = await dropOldTtlIndex();
+  await OTP.syncIndexes();
+
+  console.log(`Removed ${legacy} legacy code(s)`);
+  console.log(`Removed ${duplicates} duplicate code(s)`);
+  if (droppedTtl) console.log("Replaced the old expiresAt TTL index");
+  console.log("OTP indexes are up to date!");
+};
+
+run()
+  .catch((err) => {
+    console.error("Migrating OTP indexes failed:", err.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,114 @@
+/**
+ * Move engineer application documents uploaded before private storage
+ * existed out of public/uploads/documents (which anyone could download) into
+ * private storage, record them against their engineers (for storage quotas)
+ * and point the applications at the new keys. Safe to run more than once.
+ *
+ * Usage: npm run migrate:private-uploads
+ */
+const fs = require("fs");
+const path = require("path");
+const { Readable } = require("stream");
+const mongoose = require("mongoose");
+const dotenv = require("dotenv");
+
+dotenv.config({ path: path.join(__dirname, "../config.env") });
+
+const EngineerApplication = require("../models/EngineerApplicationModel");
+const StoredFile = require("../models/StoredFileModel");
+const storage = require("../utils/storage");
+const { detectFileType } = require("../utils/fileType");
+
+const PRIVATE_DOCUMENTS = [
+  "gasSafeCard",
+  "commercialRecord",
+  "cv",
+  "profileFile",
+];
+const LEGACY_PREFIX = "/uploads/documents/";
+
+const publicPath = (reference) =>
+  path.join(__dirname, "../public", reference.replace(/^\//, ""));
+
+// Copy the document into private storage and record it against the
+// engineer, so it counts towards their quota and can be deleted like any
+// other upload
+const moveDocument = async (application, field, reference) => {
+  const key = `private/documents/${application.engineerId}/${path.basename(
+    reference
+  )}`;
+  const buffer = fs.readFileSync(publicPath(reference));
+  const type = detectFileType(buffer);
+
+  await storage
+    .getDriver()
+    .save(key, Readable.from(buffer), type ? { contentType: type.mime } : {});
+  await StoredFile.updateOne(
+    { key },
+    {
+      $setOnInsert: {
+        ownerId: application.engineerId,
+        field,
+        originalName: path.basename(reference),
+        contentType: type ? type.mime : undefined,
+        size: buffer.length,
+      },
+    },
+    { upsert: true }
+  );
+  return key;
+};
+
+const run = async () => {
+  const DB = process.env.DATABASE.replace(
+    "<PASSWORD>",
+    process.env.DATABASE_PASSWORD
+  );
+  await mongoose.connect(DB);
+
+  const applications = await EngineerApplication.find({
+    $or: PRIVATE_DOCUMENTS.map((field) => ({
+      [`documents.${field}`]: { $regex: `^${LEGACY_PREFIX}` },
+    })),
+  });
+
+  let moved = 0;
+  for (const application of applications) {
+    const update = {};
+    const legacy = [];
+
+    for (const field of PRIVATE_DOCUMENTS) {
+      const reference = application.documents[field];
+      if (!reference || !reference.startsWith(LEGACY_PREFIX)) continue;
+
+      if (!fs.existsSync(publicPath(reference))) {
+        console.warn(`${application._id}: ${reference} is missing, skipped`);
+        continue;
+      }
+      update[`documents.${field}`] = await moveDocument(
+        application,
+        field,
+        reference
+      );
+      legacy.push(reference);
+    }
+
+    if (legacy.length === 0) continue;
+
+    await EngineerApplication.updateOne(
+      { _id: application._id },
+      { $set: update }
+    );
+    legacy.forEach((reference) => fs.unlinkSync(publicPath(reference)));
+    moved += legacy.length;
+  }
+
+  console.log(`Moved ${moved} document(s) to private storage`);
+};
+
+run()
+  .catch((err) => {
+    console.error("Moving documents failed:", err.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,41 @@
+/**
+ * Seed the invoice number counters from the invoices already in the
+ * database, so new numbers carry on after the highest existing one. Also
+ * rebuilds the invoice indexes (drafts need the partial unique index on
+ * invoiceNumber, and each job may only have one invoice). Safe to run more
+ * than once.
+ *
+ * Usage: npm run seed:invoice-counters
+ */
+const path = require("path");
+const mongoose = require("mongoose");
+const dotenv = require("dotenv");
+
+dotenv.config({ path: path.join(__dirname, "../config.env") });
+
+const Invoice = require("../models/InvoiceModel");
+const { seedCounters } = require("../utils/invoiceNumbering");
+
+const run = async () => {
+  const DB = process.env.DATABASE.replace(
+    "<PASSWORD>",
+    process.env.DATABASE_PASSWORD
+  );
+  await mongoose.connect(DB);
+  await Invoice.syncIndexes();
+
+  const numbers = await Invoice.distinct("invoiceNumber");
+  const counters = await seedCounters(numbers);
+
+  Object.entries(counters).forEach(([name, seq]) =>
+    console.log(`${name}: ${seq}`)
+  );
+  console.log("Invoice counters seeded!");
+};
+
+run()
+  .catch((err) => {
+    console.error("Seeding invoice counters failed:", err.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -1,4 +1,7 @@
 const organizeSearchFeilds = require("./organizeSearchFeilds");
+const { EARTH_RADIUS_MILES } = require("./geocoding");
+
+const DEFAULT_RADIUS_MILES = 10;
 
 class APIFeatures {
   constructor(query, queryString) {
@@ -16,6 +19,8 @@ class APIFeatures {
       "searchValue",
       "skip",
       "otherCategory",
+      "near",
+      "radius",
     ];
     excludedFields.forEach((el) => delete queryObj[el]);
     // 1B) Advanced filtering
@@ -49,6 +54,25 @@ class APIFeatures {
     return this;
   }
 
+  // ?near=<lat>,<lng>&radius=<miles> limits results to a circle around a point
+  near(field = "location.geo") {
+    if (!this.queryString.near) return this;
+
+    const [lat, lng] = String(this.queryString.near).split(",").map(Number);
+    if (Number.isNaN(lat) || Number.isNaN(lng)) return this;
+
+    const radius = this.queryString.radius * 1 || DEFAULT_RADIUS_MILES;
+    this.query = this.query.find({
+      [field]: {
+        $geoWithin: {
+          $centerSphere: [[lng, lat], radius / EARTH_RADIUS_MILES],
+        },
+      },
+    });
+
+    return this;
+  }
+
   sort() {
     if (this.queryString.sort) {
       this.query = this.query.sort(this.queryString.sort);
@@ -0,0 +1,53 @@
+const AuditLog = require("../models/AuditLogModel");
+
+const pick = (doc, fields) => {
+  if (!doc) return undefined;
+  const source = typeof doc.toObject === "function" ? doc.toObject() : doc;
+  return Object.fromEntries(fields.map((field) => [field, source[field]]));
+};
+
+// Enough to identify an account that no longer exists
+const SNAPSHOT_FIELDS = ["username", "email", "role"];
+
+/**
+ * Record a change made by the current user to `target`, with the values of
+ * the fields in `after` as they were before. Failures are logged, not
+ * thrown, because the change itself has already been made.
+ */
+const recordChange = async (req, { action, target, after, reason }) => {
+  const fields = Object.keys(after || {});
+
+  try {
+    await AuditLog.create({
+      actorId: req.user._id,
+      actorRole: req.user.role,
+      action,
+      targetId: target._id,
+      before: pick(target, fields.length ? fields : SNAPSHOT_FIELDS),
+      after,
+      reason,
+      ip: req.ip,
+    });
+  } catch (err) {
+    console.error(`Audit log for ${action} on ${target._id} failed:`, err);
+  }
+};
+
+/**
+ * Middleware recording the change once the handler has responded
+ * successfully. Uses the account loaded into req.targetUser and the
+ * (already filtered) request body.
+ */
+const auditAfterSuccess = (action) => (req, res, next) => {
+  const target = req.targetUser;
+  const after = { ...req.body };
+
+  res.on("finish", () => {
+    if (res.statusCode < 400) {
+      recordChange(req, { action, target, after, reason: req.auditReason });
+    }
+  });
+  next();
+};
+
+module.exports = { recordChange, auditAfterSuccess };
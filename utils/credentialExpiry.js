@@ -0,0 +1,271 @@
+const User = require("../models/UserModel");
+const sendEmail = require("./email");
+const { scheduleJob } = require("./scheduler");
+const { frontendUrl } = require("./notifications");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_WARNING_DAYS = [30, 14, 3];
+const DEFAULT_INTERVAL_MINUTES = 24 * 60;
+
+const CREDENTIAL_KEYS = Object.keys(User.CREDENTIALS);
+
+/**
+ * How many days before expiry engineers and admins are warned, from
+ * CREDENTIAL_WARNING_DAYS (e.g. "30,14,3"). Largest first.
+ */
+const getWarningDays = () => {
+  const days = (process.env.CREDENTIAL_WARNING_DAYS || "")
+    .split(",")
+    .filter((day) => day.trim() !== "")
+    .map(Number)
+    .filter((day) => day > 0);
+  return (days.length ? days : DEFAULT_WARNING_DAYS).sort((a, b) => b - a);
+};
+
+const daysUntil = (date, now) => Math.ceil((date - now) / DAY_MS);
+
+// Every dated credential the engineer has, soonest expiry first
+const listCredentials = (engineer, now) => {
+  const profile = engineer.engineerProfile || {};
+  return CREDENTIAL_KEYS.filter(
+    (key) => profile[key] && profile[key].expiryDate
+  )
+    .map((key) => ({
+      credential: key,
+      label: User.CREDENTIALS[key],
+      expiryDate: profile[key].expiryDate,
+      daysLeft: daysUntil(profile[key].expiryDate, now),
+    }))
+    .sort((a, b) => a.expiryDate - b.expiryDate);
+};
+
+// Engineers with a credential expiring by `until`, including lapsed ones
+const findExpiringBy = (until) =>
+  User.find({
+    role: "engineer",
+    active: { $ne: false },
+    $or: CREDENTIAL_KEYS.map((key) => ({
+      [`engineerProfile.${key}.expiryDate`]: { $lte: until },
+    })),
+  });
+
+/**
+ * Upcoming and lapsed credential expiries within `days` of `now`, soonest
+ * first, for the admin report.
+ */
+const findUpcomingExpiries = async (now, days) => {
+  const until = new Date(now.getTime() + days * DAY_MS);
+  const engineers = await findExpiringBy(until);
+
+  return engineers
+    .flatMap((engineer) =>
+      listCredentials(engineer, now)
+        .filter((item) => item.expiryDate <= until)
+        .map((item) => ({
+          engineerId: engineer._id,
+          username: engineer.username,
+          email: engineer.email,
+          phoneNumber: engineer.phoneNumber,
+          credential: item.credential,
+          label: item.label,
+          expiryDate: item.expiryDate,
+          daysLeft: item.daysLeft,
+          expired: item.expiryDate <= now,
+          suspended: Boolean(engineer.engineerProfile.suspended),
+        }))
+    )
+    .sort((a, b) => a.expiryDate - b.expiryDate);
+};
+
+// The warning stage a credential has reached: the smallest warning day it is
+// within, or 0 once it has lapsed
+const currentStage = (item, warningDays) => {
+  if (item.daysLeft <= 0) return 0;
+  const reached = warningDays.filter((days) => item.daysLeft <= days);
+  return reached.length ? reached[reached.length - 1] : null;
+};
+
+const alertFor = (item, daysBefore) => ({
+  credential: item.credential,
+  expiryDate: item.expiryDate,
+  daysBefore,
+});
+
+// Record the alert on the engineer first, so it is only ever sent once
+const claimAlert = async (engineer, alert, now) => {
+  const claimed = await User.updateOne(
+    {
+      _id: engineer._id,
+      "engineerProfile.credentialAlerts": { $not: { $elemMatch: alert } },
+    },
+    {
+      $push: { "engineerProfile.credentialAlerts": { ...alert, sentAt: now } },
+    }
+  );
+  return claimed.modifiedCount > 0;
+};
+
+const releaseAlert = (engineer, alert) =>
+  User.updateOne(
+    { _id: engineer._id },
+    { $pull: { "engineerProfile.credentialAlerts": alert } }
+  );
+
+const notifyEngineer = (engineer, item, daysBefore) =>
+  sendEmail({
+    email: engineer.email,
+    template: daysBefore === 0 ? "credentialExpired" : "credentialExpiring",
+    data: {
+      name: engineer.username,
+      credential: item.label,
+      expiryDate: item.expiryDate.toDateString(),
+      daysLeft: item.daysLeft,
+      profileUrl: frontendUrl("/engineer/profile"),
+    },
+  });
+
+const notifyAdmins = async (admins, engineer, item, daysBefore) => {
+  const status =
+    daysBefore === 0
+      ? "has expired and they have been suspended from new jobs"
+      : `expires in ${item.daysLeft} day(s)`;
+
+  await Promise.all(
+    admins.map((admin) =>
+      sendEmail({
+        email: admin.email,
+        template: "credentialAlertAdmin",
+        data: {
+          engineerName: engineer.username,
+          engineerEmail: engineer.email,
+          credential: item.label,
+          expiryDate: item.expiryDate.toDateString(),
+          status,
+          reportUrl: frontendUrl("/admin/credentials"),
+        },
+      }).catch((err) =>
+        console.error(`Credential alert to admin ${admin._id} failed:`, err)
+      )
+    )
+  );
+};
+
+// Stop offering jobs to engineers with a lapsed credential
+const suspend = (engineer, lapsed, now) =>
+  User.updateOne(
+    { _id: engineer._id, "engineerProfile.suspended": { $ne: true } },
+    {
+      $set: {
+        "engineerProfile.suspended": true,
+        "engineerProfile.suspendedAt": now,
+        "engineerProfile.suspendedReason": `Expired: ${lapsed
+          .map((key) => User.CREDENTIALS[key])
+          .join(", ")}`,
+      },
+    }
+  );
+
+/**
+ * Send the latest warning each credential is due and suspend engineers whose
+ * credentials have lapsed. Missed stages are skipped, like invoice
+ * reminders, and a renewed credential (new expiry date) starts over.
+ */
+const processExpiries = async (now) => {
+  const warningDays = getWarningDays();
+  const engineers = await findExpiringBy(
+    new Date(now.getTime() + warningDays[0] * DAY_MS)
+  ).select("+engineerProfile.credentialAlerts");
+
+  let admins;
+  let warned = 0;
+  let suspended = 0;
+
+  for (const engineer of engineers) {
+    const lapsed = engineer.lapsedCredentials(now);
+    if (lapsed.length > 0) {
+      const result = await suspend(engineer, lapsed, now);
+      suspended += result.modifiedCount;
+    }
+
+    const sentAlerts = engineer.engineerProfile.credentialAlerts || [];
+    for (const item of listCredentials(engineer, now)) {
+      const stage = currentStage(item, warningDays);
+      const alreadySent = sentAlerts.some(
+        (alert) =>
+          alert.credential === item.credential &&
+          alert.expiryDate.getTime() === item.expiryDate.getTime() &&
+          alert.daysBefore <= stage
+      );
+      if (stage === null || alreadySent) continue;
+
+      const alert = alertFor(item, stage);
+      if (!(await claimAlert(engineer, alert, now))) continue;
+
+      try {
+        await notifyEngineer(engineer, item, stage);
+        warned += 1;
+      } catch (err) {
+        // Release the claim so the next run tries again
+        await releaseAlert(engineer, alert);
+        console.error(`Credential alert for ${engineer._id} failed:`, err);
+        continue;
+      }
+
+      if (!admins) {
+        admins = await User.find({ role: "admin", active: { $ne: false } });
+      }
+      await notifyAdmins(admins, engineer, item, stage);
+    }
+  }
+
+  return { warned, suspended };
+};
+
+// Lift suspensions once every lapsed credential has been renewed
+const reinstateRenewed = async (now) => {
+  const engineers = await User.find({
+    role: "engineer",
+    "engineerProfile.suspended": true,
+  });
+
+  let reinstated = 0;
+  for (const engineer of engineers) {
+    if (engineer.lapsedCredentials(now).length > 0) continue;
+
+    const result = await User.updateOne(
+      { _id: engineer._id, "engineerProfile.suspended": true },
+      {
+        $set: { "engineerProfile.suspended": false },
+        $unset: {
+          "engineerProfile.suspendedAt": 1,
+          "engineerProfile.suspendedReason": 1,
+        },
+      }
+    );
+    reinstated += result.modifiedCount;
+  }
+
+  return reinstated;
+};
+
+const runCredentialChecks = async (now = new Date()) => {
+  const reinstated = await reinstateRenewed(now);
+  const { warned, suspended } = await processExpiries(now);
+  return { alertsSent: warned, suspended, reinstated };
+};
+
+const startCredentialExpiryJob = () => {
+  const minutes =
+    Number(process.env.CREDENTIAL_CHECK_INTERVAL_MINUTES) ||
+    DEFAULT_INTERVAL_MINUTES;
+  return scheduleJob("credential-expiry", minutes * 60 * 1000, (now) =>
+    runCredentialChecks(now)
+  );
+};
+
+module.exports = {
+  getWarningDays,
+  findUpcomingExpiries,
+  runCredentialChecks,
+  startCredentialExpiryJob,
+};
@@ -0,0 +1,32 @@
+const { getTransport, getFromAddress } = require("./transport");
+const { renderTemplate } = require("./templates");
+
+/**
+ * Send an email built from one of the templates in ./templates:
+ *
+ *   sendEmail({ email, template: "passwordReset", data: { resetUrl } })
+ *
+ * `subject` overrides the template's subject, and `attachments` are passed
+ * straight to nodemailer.
+ */
+const sendEmail = async ({ email, template, data, subject, attachments }) => {
+  const content = renderTemplate(template, data);
+
+  try {
+    const info = await getTransport().sendMail({
+      from: getFromAddress(),
+      to: email,
+      subject: subject || content.subject,
+      html: content.html,
+      text: content.text,
+      attachments,
+    });
+    console.log("Email sent successfully:", info.messageId);
+    return info;
+  } catch (error) {
+    console.error("Error sending email:", error);
+    throw new Error("Failed to send email. Please try again later.");
+  }
+};
+
+module.exports = sendEmail;
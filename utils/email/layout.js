@@ -0,0 +1,45 @@
+// Shared look for every email. Templates provide a heading, paragraphs, an
+// optional button and optional small print; this wraps them in HTML and
+// builds the matching plain-text version. Paragraphs that render empty
+// (e.g. an optional comment) are left out.
+
+const BRAND_COLOR = "#4CAF50";
+const FOOTER =
+  "This is an automated message, please do not reply to this email.";
+
+const renderHtml = ({ heading, paragraphs, action, note }) => `
+<div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+  <h2 style="color: #333;">${heading}</h2>
+  ${paragraphs
+    .filter((paragraph) => paragraph.trim())
+    .map((paragraph) => `<p>${paragraph}</p>`)
+    .join("\n  ")}
+  ${
+    action
+      ? `<div style="text-align: center; margin: 30px 0;">
+    <a href="${action.url}"
+       style="background-color: ${BRAND_COLOR}; color: white; padding: 12px 24px; text-decoration: none; border-radius: 4px; display: inline-block;">
+      ${action.label}
+    </a>
+  </div>`
+      : ""
+  }
+  ${note ? `<p style="color: #666; font-size: 14px;">${note}</p>` : ""}
+  <hr style="border: 1px solid #eee; margin: 20px 0;">
+  <p style="color: #999; font-size: 12px;">${FOOTER}</p>
+</div>
+`;
+
+const renderText = ({ heading, paragraphs, action, note }) =>
+  [
+    heading,
+    ...paragraphs.filter((paragraph) => paragraph.trim()),
+    action && `${action.label}: ${action.url}`,
+    note,
+    "--",
+    FOOTER,
+  ]
+    .filter(Boolean)
+    .join("\n\n");
+
+module.exports = { renderHtml, renderText };
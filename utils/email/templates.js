@@ -0,0 +1,247 @@
+const { renderHtml, renderText } = require("./layout");
+
+// Every template is written once with {{placeholders}} (dotted paths are
+// allowed) and rendered to both HTML and plain text through the layout. The
+// comment above each one lists the data it expects.
+const templates = {
+  // name, accountUrl
+  welcome: {
+    subject: "Welcome to Gas Plumbers",
+    heading: "Welcome to Gas Plumbers",
+    paragraphs: [
+      "Hi {{name}},",
+      "Thanks for signing up. You can now request an engineer whenever you need one, and follow every job from your account.",
+    ],
+    action: { label: "Go to your account", url: "{{accountUrl}}" },
+  },
+
+  // name, verifyUrl
+  emailVerification: {
+    subject: "Please confirm your email address",
+    heading: "Confirm your email address",
+    paragraphs: [
+      "Hi {{name}},",
+      "Please confirm this is your email address so we can keep you updated about your jobs and invoices.",
+    ],
+    action: { label: "Confirm email", url: "{{verifyUrl}}" },
+    note: "If you didn't create a Gas Plumbers account, please ignore this email. This link will expire in 24 hours.",
+  },
+
+  // name, resetUrl
+  passwordReset: {
+    subject: "Your password reset token (valid for 10 min)",
+    heading: "Password Reset Request",
+    paragraphs: [
+      "You requested a password reset. Click the button below to reset your password:",
+    ],
+    action: { label: "Reset Password", url: "{{resetUrl}}" },
+    note: "If you didn't request this, please ignore this email. This link will expire in 10 minutes.",
+  },
+
+  // name, attempts, lockedUntil, resetUrl
+  accountLocked: {
+    subject: "Your Gas Plumbers account has been locked",
+    heading: "Account temporarily locked",
+    paragraphs: [
+      "Hi {{name}},",
+      "We locked your account after {{attempts}} incorrect password attempts. You can try again after {{lockedUntil}}.",
+      "If this wasn't you, we recommend resetting your password.",
+    ],
+    action: { label: "Reset Password", url: "{{resetUrl}}" },
+  },
+
+  // name, applicationUrl
+  applicationReceived: {
+    subject: "We've received your engineer application",
+    heading: "Application received",
+    paragraphs: [
+      "Hi {{name}},",
+      "Thanks for applying to work with Gas Plumbers. Our team will review your documents and get back to you by email.",
+    ],
+    action: { label: "View application", url: "{{applicationUrl}}" },
+  },
+
+  // name, comment, applicationUrl
+  applicationChangesRequested: {
+    subject: "Your engineer application needs changes",
+    heading: "Changes needed",
+    paragraphs: [
+      "Hi {{name}},",
+      "We've reviewed your application and need a few changes before we can approve it:",
+      "{{comment}}",
+      "Please update your application and it will be reviewed again.",
+    ],
+    action: { label: "Update application", url: "{{applicationUrl}}" },
+  },
+
+  // name, comment, jobsUrl
+  applicationApproved: {
+    subject: "Your engineer application has been approved",
+    heading: "Welcome aboard",
+    paragraphs: [
+      "Hi {{name}},",
+      "Your application has been approved and you can now be assigned jobs.",
+      "{{comment}}",
+    ],
+    action: { label: "View your jobs", url: "{{jobsUrl}}" },
+  },
+
+  // name, comment
+  applicationRejected: {
+    subject: "Your engineer application",
+    heading: "Application not approved",
+    paragraphs: [
+      "Hi {{name}},",
+      "Thank you for your interest in working with Gas Plumbers. Unfortunately we are unable to approve your application.",
+      "{{comment}}",
+    ],
+  },
+
+  // name, jobTitle, address, scheduledDate, jobUrl
+  jobAssigned: {
+    subject: "New job assigned: {{jobTitle}}",
+    heading: "You have a new job",
+    paragraphs: [
+      "Hi {{name}},",
+      "You have been assigned to <strong>{{jobTitle}}</strong> at {{address}}.",
+      "Scheduled for: {{scheduledDate}}",
+    ],
+    action: { label: "View job", url: "{{jobUrl}}" },
+  },
+
+  // name, jobTitle, engineerName, completedDate, jobUrl
+  jobCompleted: {
+    subject: "Your job is complete: {{jobTitle}}",
+    heading: "Job completed",
+    paragraphs: [
+      "Hi {{name}},",
+      "{{engineerName}} completed <strong>{{jobTitle}}</strong> on {{completedDate}}.",
+      "Your invoice will follow shortly.",
+    ],
+    action: { label: "View job", url: "{{jobUrl}}" },
+  },
+
+  // name, invoiceNumber, amount, dueDate, invoiceUrl
+  invoiceIssued: {
+    subject: "Invoice {{invoiceNumber}} from Gas Plumbers",
+    heading: "Your invoice",
+    paragraphs: [
+      "Hi {{name}},",
+      "Invoice <strong>{{invoiceNumber}}</strong> for <strong>{{amount}}</strong> is attached. Payment is due by {{dueDate}}.",
+    ],
+    action: { label: "Pay invoice", url: "{{invoiceUrl}}" },
+  },
+
+  // name, invoiceNumber, amount
+  paymentReceived: {
+    subject: "Payment received for invoice {{invoiceNumber}}",
+    heading: "Payment received",
+    paragraphs: [
+      "Hi {{name}},",
+      "Thank you for your payment of <strong>{{amount}}</strong> for invoice {{invoiceNumber}}. Your receipt is attached.",
+    ],
+  },
+
+  // name, invoiceNumber, amount, dueDate, dueDescription, invoiceUrl
+  invoiceReminder: {
+    subject: "Invoice {{invoiceNumber}} is {{dueDescription}}",
+    heading: "Payment reminder",
+    paragraphs: [
+      "Hi {{name}},",
+      "Invoice <strong>{{invoiceNumber}}</strong> for <strong>{{amount}}</strong> is {{dueDescription}} (due {{dueDate}}).",
+    ],
+    action: { label: "Pay invoice", url: "{{invoiceUrl}}" },
+    note: "If you have already paid, please ignore this email.",
+  },
+
+  // name, credential, expiryDate, daysLeft, profileUrl
+  credentialExpiring: {
+    subject: "Your {{credential}} expires in {{daysLeft}} day(s)",
+    heading: "Credential expiring soon",
+    paragraphs: [
+      "Hi {{name}},",
+      "Your {{credential}} expires on <strong>{{expiryDate}}</strong>. Please renew it and update your profile before then, or you won't be offered any more jobs.",
+    ],
+    action: { label: "Update your profile", url: "{{profileUrl}}" },
+  },
+
+  // name, credential, expiryDate, profileUrl
+  credentialExpired: {
+    subject: "Your {{credential}} has expired",
+    heading: "You've been suspended from new jobs",
+    paragraphs: [
+      "Hi {{name}},",
+      "Your {{credential}} expired on <strong>{{expiryDate}}</strong>, so we've stopped offering you jobs.",
+      "Once you've renewed it, update your profile with the new details. An admin will check them before you can take jobs again.",
+    ],
+    action: { label: "Update your profile", url: "{{profileUrl}}" },
+  },
+
+  // engineerName, engineerEmail, credential, expiryDate, status, reportUrl
+  credentialAlertAdmin: {
+    subject: "{{engineerName}}'s {{credential}} {{status}}",
+    heading: "Engineer credential alert",
+    paragraphs: [
+      "{{engineerName}} ({{engineerEmail}}): {{credential}} {{status}} (expiry date {{expiryDate}}).",
+    ],
+    action: { label: "View upcoming expiries", url: "{{reportUrl}}" },
+  },
+};
+
+const escapeHtml = (value) =>
+  String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+
+const lookup = (data, key) =>
+  key
+    .split(".")
+    .reduce((value, part) => (value == null ? value : value[part]), data);
+
+// Replace {{key}} with values from data. Missing values render as "".
+const interpolate = (template, data, escape = false) =>
+  template.replace(/{{\s*([\w.]+)\s*}}/g, (match, key) => {
+    const value = lookup(data, key);
+    if (value == null) return "";
+    return escape ? escapeHtml(value) : String(value);
+  });
+
+// Tags in a template are only for the HTML version
+const stripTags = (text) => text.replace(/<[^>]+>/g, "");
+
+// Fill in a template's parts, escaped for HTML or as plain text
+const fill = (template, data, html) => {
+  const render = (part) =>
+    html ? interpolate(part, data, true) : interpolate(stripTags(part), data);
+
+  return {
+    heading: render(template.heading),
+    paragraphs: template.paragraphs.map(render),
+    action: template.action && {
+      label: render(template.action.label),
+      url: render(template.action.url),
+    },
+    note: template.note && render(template.note),
+  };
+};
+
+/**
+ * Render a registered template to { subject, html, text }.
+ */
+const renderTemplate = (name, data = {}) => {
+  const template = templates[name];
+  if (!template) throw new Error(`Unknown email template: ${name}`);
+
+  return {
+    subject: interpolate(template.subject, data),
+    html: renderHtml(fill(template, data, true)),
+    text: renderText(fill(template, data, false)),
+  };
+};
+
+const hasTemplate = (name) => Boolean(templates[name]);
+
+module.exports = { templates, renderTemplate, hasTemplate, interpolate };
@@ -0,0 +1,76 @@
+const fs = require("fs");
+const path = require("path");
+const nodemailer = require("nodemailer");
+
+// Writes each message as a JSON line to EMAIL_OUTBOX_FILE instead of
+// sending it. Used for local development and tests.
+const createFileTransport = () => {
+  const transporter = nodemailer.createTransport({ jsonTransport: true });
+  const file = process.env.EMAIL_OUTBOX_FILE;
+
+  return {
+    sendMail: async (mailOptions) => {
+      const info = await transporter.sendMail(mailOptions);
+      if (file) {
+        await fs.promises.mkdir(path.dirname(file), { recursive: true });
+        await fs.promises.appendFile(file, `${info.message}\n`);
+      }
+      return info;
+    },
+  };
+};
+
+const createSmtpTransport = () =>
+  nodemailer.createTransport({
+    host: process.env.EMAIL_HOST,
+    port: Number(process.env.EMAIL_PORT) || 587,
+    secure:
+      process.env.EMAIL_SECURE === "true" ||
+      Number(process.env.EMAIL_PORT) === 465,
+    auth: process.env.EMAIL_USERNAME
+      ? {
+          user: process.env.EMAIL_USERNAME,
+          pass: process.env.EMAIL_PASSWORD,
+        }
+      : undefined,
+  });
+
+const createGmailTransport = () =>
+  nodemailer.createTransport({
+    service: "gmail",
+    auth: {
+      user: process.env.EMAIL_USERNAME,
+      pass: process.env.EMAIL_PASSWORD,
+    },
+    tls: {
+      rejectUnauthorized: false, // This will bypass the SSL certificate verification
+    },
+  });
+
+const transports = {
+  gmail: createGmailTransport,
+  smtp: createSmtpTransport,
+  json: createFileTransport,
+};
+
+let transport;
+
+// The transport picked by EMAIL_TRANSPORT: "gmail" (default), "smtp" or "json"
+const getTransport = () => {
+  if (transport) return transport;
+
+  const name = process.env.EMAIL_TRANSPORT || "gmail";
+  if (!transports[name]) throw new Error(`Unknown email transport: ${name}`);
+  transport = transports[name]();
+  return transport;
+};
+
+// Forget the cached transport, e.g. after changing the configuration
+const resetTransport = () => {
+  transport = undefined;
+};
+
+const getFromAddress = () =>
+  process.env.EMAIL_FROM || `Gas Plumbers <${process.env.EMAIL_USERNAME}>`;
+
+module.exports = { getTransport, resetTransport, getFromAddress };
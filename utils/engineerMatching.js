@@ -0,0 +1,257 @@
+const User = require("../models/UserModel");
+const EmergencyRequest = require("../models/EmergencyRequestModel");
+const Booking = require("../models/BookingModel");
+const { getOutcode, distanceInMiles } = require("./geocoding");
+const scheduling = require("./scheduling");
+
+// Score weights, out of 100 in total
+const WEIGHTS = {
+  skills: 50,
+  area: 25,
+  availability: 15,
+  load: 10,
+};
+
+// Each active job takes this many points off the load score
+const LOAD_PENALTY_PER_JOB = 2.5;
+
+const ACTIVE_STATUSES = ["assigned", "in-progress"];
+
+const normalizeSkill = (skill) => String(skill).trim().toLowerCase();
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(":").map(Number);
+  return hours * 60 + minutes;
+};
+
+const sameDay = (a, b) =>
+  new Date(a).toDateString() === new Date(b).toDateString();
+
+const windowsOverlap = (a, b) =>
+  sameDay(a.date, b.date) &&
+  toMinutes(a.startTime) < toMinutes(b.endTime) &&
+  toMinutes(b.startTime) < toMinutes(a.endTime);
+
+// Engineers who can currently be offered jobs and share at least one skill.
+// The query narrows the list; isDispatchable has the final say, as it does
+// when an admin assigns an engineer by hand.
+const findCandidates = async (skillsNeeded) => {
+  const engineers = await User.findDispatchable({
+    "engineerProfile.skills": { $in: skillsNeeded },
+  });
+  return engineers.filter((engineer) => engineer.isDispatchable());
+};
+
+// The time the job needs: its scheduled slot, or else the preferred window
+const getJobWindow = (request) => {
+  if (request.scheduledDate) {
+    const start = new Date(request.scheduledDate);
+    return {
+      start,
+      end: scheduling.addMinutes(
+        start,
+        request.estimatedDuration || scheduling.DEFAULT_DURATION_MINUTES
+      ),
+    };
+  }
+
+  const { date, startTime, endTime } = request.preferredTime;
+  return {
+    start: scheduling.atTime(date, startTime),
+    end: scheduling.atTime(date, endTime),
+  };
+};
+
+// Documents grouped by their engineerId
+const groupByEngineer = (docs) => {
+  const groups = new Map();
+  docs.forEach((doc) => {
+    const key = String(doc.engineerId);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(doc);
+  });
+  return (engineer) => groups.get(String(engineer._id)) || [];
+};
+
+// `activeJobs` and `bookings` are the engineer's own, loaded for all the
+// candidates at once by rankEngineers
+const scoreEngineer = (
+  engineer,
+  request,
+  { skillsNeeded, outcode, jobWindow, activeJobs, bookings }
+) => {
+  const reasons = [];
+  const profile = engineer.engineerProfile;
+
+  // 1) Skill overlap
+  const matchedSkills = skillsNeeded.filter((skill) =>
+    profile.skills.includes(skill)
+  );
+  const skillScore =
+    (matchedSkills.length / skillsNeeded.length) * WEIGHTS.skills;
+  reasons.push(
+    `Has ${matchedSkills.length}/${skillsNeeded.length} required skills (${matchedSkills.join(", ")})`
+  );
+
+  // 2) Service area
+  const coversArea = Boolean(outcode) && profile.serviceAreas.includes(outcode);
+  reasons.push(
+    coversArea
+      ? `Covers postcode district ${outcode}`
+      : `Does not cover postcode district ${outcode || "unknown"}`
+  );
+
+  const jobPoint = request.location && request.location.geo;
+  const engineerPoint = engineer.location && engineer.location.geo;
+  let distance = null;
+  if (
+    jobPoint &&
+    jobPoint.coordinates &&
+    engineerPoint &&
+    engineerPoint.coordinates
+  ) {
+    distance = Math.round(distanceInMiles(engineerPoint, jobPoint) * 10) / 10;
+    reasons.push(`Based ${distance} miles from the job`);
+  }
+
+  // 3) Availability and 4) current load, both from the engineer's jobs
+  // Scheduled jobs hold a booking; unscheduled ones only have a preferred window
+  const clashes = activeJobs.filter(
+    (job) =>
+      !job.scheduledDate &&
+      job.preferredTime &&
+      windowsOverlap(job.preferredTime, request.preferredTime)
+  );
+  const isFree = scheduling.isEngineerFree(
+    engineer,
+    jobWindow.start,
+    jobWindow.end,
+    bookings,
+    request._id
+  );
+  const isAvailable = isFree && clashes.length === 0;
+  reasons.push(
+    isAvailable
+      ? "Free in the requested time window"
+      : "Not free in the requested time window"
+  );
+
+  const loadScore = Math.max(
+    0,
+    WEIGHTS.load - activeJobs.length * LOAD_PENALTY_PER_JOB
+  );
+  reasons.push(`Currently has ${activeJobs.length} active job(s)`);
+
+  const score =
+    skillScore +
+    (coversArea ? WEIGHTS.area : 0) +
+    (isAvailable ? WEIGHTS.availability : 0) +
+    loadScore;
+
+  return {
+    engineer,
+    score: Math.round(score * 10) / 10,
+    matchedSkills,
+    coversArea,
+    distance,
+    isAvailable,
+    activeJobs: activeJobs.length,
+    reasons,
+  };
+};
+
+/**
+ * Rank the engineers who could take an emergency request, best first.
+ * Uses the request's own postcode, falling back to the populated customer's.
+ */
+exports.rankEngineers = async (request, { limit = 10 } = {}) => {
+  const skillsNeeded = request.skillsNeeded.map(normalizeSkill);
+  const customer = request.customerId;
+  const zipCode =
+    (request.location && request.location.zipCode) ||
+    (customer.location && customer.location.zipCode);
+  const outcode = getOutcode(zipCode);
+
+  const candidates = await findCandidates(skillsNeeded);
+  const engineerIds = candidates.map((engineer) => engineer._id);
+  const jobWindow = getJobWindow(request);
+
+  // One query each for everyone's active jobs and clashing bookings
+  const [jobs, bookings] = await Promise.all([
+    EmergencyRequest.find({
+      engineerId: { $in: engineerIds },
+      status: { $in: ACTIVE_STATUSES },
+      _id: { $ne: request._id },
+    }),
+    Booking.findOverlapping(engineerIds, jobWindow.start, jobWindow.end),
+  ]);
+  const jobsOf = groupByEngineer(jobs);
+  const bookingsOf = groupByEngineer(bookings);
+
+  const ranked = candidates.map((engineer) =>
+    scoreEngineer(engineer, request, {
+      skillsNeeded,
+      outcode,
+      jobWindow,
+      activeJobs: jobsOf(engineer),
+      bookings: bookingsOf(engineer),
+    })
+  );
+
+  ranked.sort((a, b) => b.score - a.score);
+  return limit ? ranked.slice(0, limit) : ranked;
+};
+
+// Book the engineer's time for a scheduled request, like a manual
+// assignment does. Resolves to null if someone else has just taken the slot.
+const reserveFor = async (request, engineer) => {
+  try {
+    return await scheduling.reserveSlot(
+      request,
+      engineer,
+      request.scheduledDate,
+      request.estimatedDuration
+    );
+  } catch (err) {
+    if (err.statusCode === 409) return null;
+    throw err;
+  }
+};
+
+/**
+ * Assign the best available match to a request, reserving their time when it
+ * is scheduled. Returns the match used, or null when nobody suitable is free.
+ */
+exports.autoAssign = async (request) => {
+  if (!request.populated("customerId")) {
+    await request.populate("customerId", "location");
+  }
+
+  const available = (await exports.rankEngineers(request, { limit: 0 })).filter(
+    (match) => match.isAvailable
+  );
+
+  for (const match of available) {
+    const booking = request.scheduledDate
+      ? await reserveFor(request, match.engineer)
+      : null;
+    if (request.scheduledDate && !booking) continue;
+
+    const reason = `Auto-assigned (score ${match.score}): ${match.reasons.join("; ")}`;
+    try {
+      await request.assignEngineer(
+        match.engineer._id,
+        undefined,
+        reason.slice(0, 500)
+      );
+    } catch (err) {
+      if (booking) await scheduling.releaseBooking(booking);
+      throw err;
+    }
+    return match;
+  }
+
+  return null;
+};
+
+exports.windowsOverlap = windowsOverlap;
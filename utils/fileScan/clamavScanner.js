@@ -0,0 +1,51 @@
+const net = require("net");
+
+// Streams the file to a clamd daemon (CLAMAV_HOST:CLAMAV_PORT) with the
+// INSTREAM command. Anything other than a clean reply counts as infected.
+exports.name = "clamav";
+
+const CHUNK_SIZE = 64 * 1024;
+const TIMEOUT_MS = 30 * 1000;
+
+const chunkLength = (length) => {
+  const header = Buffer.alloc(4);
+  header.writeUInt32BE(length);
+  return header;
+};
+
+exports.scan = ({ buffer }) =>
+  new Promise((resolve, reject) => {
+    const socket = net.connect({
+      host: process.env.CLAMAV_HOST || "127.0.0.1",
+      port: Number(process.env.CLAMAV_PORT) || 3310,
+    });
+    let reply = "";
+
+    socket.setTimeout(TIMEOUT_MS, () =>
+      socket.destroy(new Error("ClamAV scan timed out"))
+    );
+    socket.on("error", reject);
+    socket.on("data", (data) => {
+      reply += data.toString();
+    });
+    socket.on("end", () => {
+      // e.g. "stream: OK" or "stream: Eicar-Signature FOUND"
+      const result = reply.replace(/\0/g, "").trim();
+      if (/: OK$/.test(result)) return resolve({ clean: true });
+      if (/ FOUND$/.test(result)) {
+        return resolve({
+          clean: false,
+          reason: result.replace(/^stream: /, "").replace(/ FOUND$/, ""),
+        });
+      }
+      reject(new Error(`Unexpected ClamAV reply: ${result}`));
+    });
+
+    socket.write("zINSTREAM\0");
+    for (let offset = 0; offset < buffer.length; offset += CHUNK_SIZE) {
+      const chunk = buffer.subarray(offset, offset + CHUNK_SIZE);
+      socket.write(chunkLength(chunk.length));
+      socket.write(chunk);
+    }
+    socket.end(chunkLength(0));
+  });
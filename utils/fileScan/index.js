@@ -0,0 +1,24 @@
+const clamavScanner = require("./clamavScanner");
+
+const scanners = {
+  // Accept everything (the default)
+  none: { name: "none", scan: async () => ({ clean: true }) },
+  clamav: clamavScanner,
+};
+
+// Add a scanner selectable through FILE_SCANNER. Scanners expose
+// scan({ buffer, filename, contentType }) -> { clean, reason }
+const registerScanner = (name, scanner) => {
+  scanners[name] = scanner;
+};
+
+const getScanner = () => {
+  const name = process.env.FILE_SCANNER || "none";
+  const scanner = scanners[name];
+  if (!scanner) throw new Error(`Unknown file scanner: ${name}`);
+  return scanner;
+};
+
+const scanFile = (file) => getScanner().scan(file);
+
+module.exports = { registerScanner, getScanner, scanFile };
@@ -0,0 +1,33 @@
+// Identify a file from its first bytes rather than the name or the
+// Content-Type the client sent
+
+const signatures = [
+  { mime: "image/jpeg", ext: ".jpg", bytes: [0xff, 0xd8, 0xff] },
+  {
+    mime: "image/png",
+    ext: ".png",
+    bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a],
+  },
+  { mime: "image/gif", ext: ".gif", text: "GIF87a" },
+  { mime: "image/gif", ext: ".gif", text: "GIF89a" },
+  { mime: "image/webp", ext: ".webp", text: "RIFF", at8: "WEBP" },
+  { mime: "application/pdf", ext: ".pdf", text: "%PDF-" },
+];
+
+const startsWith = (buffer, bytes, offset = 0) =>
+  buffer.length >= offset + bytes.length &&
+  bytes.every((byte, index) => buffer[offset + index] === byte);
+
+const matches = (buffer, signature) => {
+  if (signature.bytes) return startsWith(buffer, signature.bytes);
+  if (!startsWith(buffer, Buffer.from(signature.text))) return false;
+  return !signature.at8 || startsWith(buffer, Buffer.from(signature.at8), 8);
+};
+
+// { mime, ext } for a supported file type, or null
+const detectFileType = (buffer) => {
+  const signature = signatures.find((candidate) => matches(buffer, candidate));
+  return signature ? { mime: signature.mime, ext: signature.ext } : null;
+};
+
+module.exports = { detectFileType };
@@ -1,131 +1,352 @@
 const multer = require("multer");
 const path = require("path");
-const fs = require("fs");
-
-// Ensure uploads directory exists
-const uploadsDir = path.join(__dirname, "../public/uploads");
-if (!fs.existsSync(uploadsDir)) {
-  fs.mkdirSync(uploadsDir, { recursive: true });
-}
-
-// Configure storage
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    let uploadPath = uploadsDir;
-
-    // Create subdirectories based on file type or route
-    if (file.fieldname === "logo") {
-      uploadPath = path.join(uploadsDir, "logos");
-    } else if (file.fieldname === "portfolioImages") {
-      uploadPath = path.join(uploadsDir, "portfolios");
-    } else if (file.fieldname === "businessLogo") {
-      uploadPath = path.join(uploadsDir, "logos");
-    } else if (file.fieldname === "pricePackages") {
-      uploadPath = path.join(uploadsDir, "packages");
-    } else if (file.fieldname === "commercialRecord") {
-      uploadPath = path.join(uploadsDir, "documents");
-    } else if (file.fieldname === "cv") {
-      uploadPath = path.join(uploadsDir, "documents");
-    } else if (file.fieldname === "profileFile") {
-      uploadPath = path.join(uploadsDir, "documents");
-    } else {
-      uploadPath = path.join(uploadsDir, "general");
-    }
+const { Readable } = require("stream");
+const storage = require("./storage");
+const StoredFile = require("../models/StoredFileModel");
+const AppError = require("./appError");
+const { detectFileType } = require("./fileType");
+const { scanFile } = require("./fileScan");
+const { stripMetadata, createThumbnail } = require("./imageProcessing");
 
-    // Create directory if it doesn't exist
-    if (!fs.existsSync(uploadPath)) {
-      fs.mkdirSync(uploadPath, { recursive: true });
-    }
+const MB = 1024 * 1024;
 
-    cb(null, uploadPath);
-  },
-  filename: (req, file, cb) => {
-    // Generate unique filename
-    const uniqueSuffix = Date.now() + "-" + Math.round(Math.random() * 1e9);
-    const extension = path.extname(file.originalname);
-    const baseName = path.basename(file.originalname, extension);
-    cb(null, `${baseName}-${uniqueSuffix}${extension}`);
-  },
+const IMAGE_TYPES = ["image/jpeg", "image/png", "image/gif", "image/webp"];
+const DOCUMENT_TYPES = ["application/pdf", "image/jpeg", "image/png"];
+
+const getLimit = (name, fallbackMb) =>
+  (Number(process.env[name]) || fallbackMb) * MB;
+
+const imageRule = (folder) => ({
+  folder,
+  types: IMAGE_TYPES,
+  maxBytes: () => getLimit("UPLOAD_MAX_IMAGE_MB", 5),
+});
+
+const documentRule = (folder) => ({
+  folder,
+  private: true,
+  types: DOCUMENT_TYPES,
+  maxBytes: () => getLimit("UPLOAD_MAX_DOCUMENT_MB", 10),
 });
 
-// File filter for images
-const imageFilter = (req, file, cb) => {
-  const allowedTypes = [
-    "image/jpeg",
-    "image/jpg",
-    "image/png",
-    "image/gif",
-    "image/webp",
-  ];
-
-  if (allowedTypes.includes(file.mimetype)) {
-    cb(null, true);
-  } else {
-    cb(
-      new Error("Only image files are allowed (jpeg, jpg, png, gif, webp)"),
-      false
+// Where each upload field is stored, what it may contain and how big it may
+// be. Documents are private: only their owner and admins can download them,
+// through signed URLs.
+const fieldRules = {
+  logo: imageRule("logos"),
+  portfolioImages: imageRule("portfolios"),
+  businessLogo: imageRule("logos"),
+  pricePackages: {
+    ...documentRule("packages"),
+    private: false,
+    types: [...new Set([...DOCUMENT_TYPES, ...IMAGE_TYPES])],
+  },
+  commercialRecord: documentRule("documents"),
+  cv: documentRule("documents"),
+  profileFile: documentRule("documents"),
+  gasSafeCard: documentRule("documents"),
+  // Emergency request photos
+  images: imageRule("requests"),
+};
+
+const getRule = (field, imagesOnly) => {
+  const rule = fieldRules[field] || imageRule("general");
+  return imagesOnly ? { ...rule, types: IMAGE_TYPES } : rule;
+};
+
+const describeTypes = (types) =>
+  types.map((type) => type.split("/")[1]).join(", ");
+
+// Keep letters, digits, dashes and underscores from the client's filename
+const sanitizeName = (originalName) =>
+  path
+    .basename(String(originalName || ""), path.extname(originalName || ""))
+    .normalize("NFKD")
+    .replace(/[^\w-]+/g, "-")
+    .replace(/-{2,}/g, "-")
+    .replace(/^[-_]+|[-_]+$/g, "")
+    .slice(0, 50) || "file";
+
+// The extension comes from the detected type, never the client
+const buildKey = (req, file, rule, ext) => {
+  // Generate unique filename
+  const uniqueSuffix = Date.now() + "-" + Math.round(Math.random() * 1e9);
+  const filename = `${sanitizeName(file.originalname)}-${uniqueSuffix}${ext}`;
+
+  return rule.private
+    ? `private/${rule.folder}/${req.user ? req.user.id : "anonymous"}/${filename}`
+    : `uploads/${rule.folder}/${filename}`;
+};
+
+const getQuotaBytes = () => getLimit("USER_STORAGE_QUOTA_MB", 100);
+
+// Read the upload into memory, stopping as soon as it is too big for its
+// field or pushes the request over its total
+const readUpload = (req, file, rule) =>
+  new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    let failed = false;
+
+    const fail = (err) => {
+      if (failed) return;
+      failed = true;
+      file.stream.unpipe();
+      file.stream.resume();
+      reject(err);
+    };
+
+    file.stream.on("data", (chunk) => {
+      if (failed) return;
+      size += chunk.length;
+      req.uploadBytes = (req.uploadBytes || 0) + chunk.length;
+
+      if (size > rule.maxBytes()) {
+        return fail(
+          new AppError(
+            `${file.fieldname} must be smaller than ${rule.maxBytes() / MB}MB`,
+            413
+          )
+        );
+      }
+      if (req.uploadBytes > getLimit("UPLOAD_MAX_REQUEST_MB", 30)) {
+        return fail(
+          new AppError(
+            `Uploads must add up to less than ${
+              getLimit("UPLOAD_MAX_REQUEST_MB", 30) / MB
+            }MB`,
+            413
+          )
+        );
+      }
+      chunks.push(chunk);
+    });
+    file.stream.on("error", fail);
+    file.stream.on("end", () => {
+      if (!failed) resolve(Buffer.concat(chunks));
+    });
+  });
+
+// Thumbnails sit next to the image: uploads/requests/thumbs/<name>.webp
+const thumbnailKey = (key) =>
+  path.posix.join(
+    path.posix.dirname(key),
+    "thumbs",
+    `${path.posix.basename(key, path.posix.extname(key))}.webp`
+  );
+
+const quotaError = () =>
+  new AppError(
+    `This upload would take you over your ${
+      getQuotaBytes() / MB
+    }MB storage allowance. Please remove some files first.`,
+    413
+  );
+
+// Record the file against its owner, then check they are still within their
+// quota. Recording first means files uploaded at the same moment, including
+// the others in this request, always count against each other.
+const reserveSpace = async (req, file, key, size, contentType) => {
+  const record = await StoredFile.create({
+    key,
+    ownerId: req.user && req.user._id,
+    field: file.fieldname,
+    originalName: file.originalname,
+    contentType,
+    size,
+  });
+  if (!req.user || req.user.role === "admin") return record;
+
+  if ((await StoredFile.usageFor(req.user.id)) > getQuotaBytes()) {
+    await StoredFile.deleteOne({ _id: record._id });
+    throw quotaError();
+  }
+  return record;
+};
+
+const removeStored = async (key) => {
+  await StoredFile.deleteOne({ key });
+  return storage.getDriver().remove(key);
+};
+
+// Save a file and record it against the user, or neither
+const saveTracked = async (req, file, key, buffer, contentType) => {
+  const record = await reserveSpace(req, file, key, buffer.length, contentType);
+
+  try {
+    await storage.getDriver().save(key, Readable.from(buffer), { contentType });
+  } catch (err) {
+    await StoredFile.deleteOne({ _id: record._id });
+    throw err;
+  }
+};
+
+/**
+ * Check and store one upload: its real type (from its first bytes) must be
+ * allowed for the field, it must fit the size limits and the user's quota,
+ * and the configured scanner must pass it. Images are saved without their
+ * metadata, plus a thumbnail if asked for. Resolves to the details multer
+ * adds to the file.
+ */
+const storeUpload = async (req, file, { imagesOnly, thumbnails }) => {
+  const rule = getRule(file.fieldname, imagesOnly);
+  const upload = await readUpload(req, file, rule);
+
+  const type = detectFileType(upload);
+  if (!type || !rule.types.includes(type.mime)) {
+    throw new AppError(
+      `${file.fieldname} must be one of: ${describeTypes(rule.types)}`,
+      415
     );
   }
+
+  const scan = await scanFile({
+    buffer: upload,
+    filename: file.originalname,
+    contentType: type.mime,
+  });
+  if (!scan.clean) {
+    throw new AppError(
+      `${file.fieldname} was rejected by the virus scanner${
+        scan.reason ? ` (${scan.reason})` : ""
+      }`,
+      422
+    );
+  }
+
+  const image = IMAGE_TYPES.includes(type.mime)
+    ? await stripMetadata(upload, type.mime)
+    : { buffer: upload };
+  const thumbnail =
+    thumbnails && image.width ? await createThumbnail(image.buffer) : null;
+
+  const key = buildKey(req, file, rule, type.ext);
+  await saveTracked(req, file, key, image.buffer, type.mime);
+
+  const info = {
+    key,
+    size: image.buffer.length,
+    mimetype: type.mime,
+    filename: path.posix.basename(key),
+    width: image.width,
+    height: image.height,
+  };
+
+  if (thumbnail) {
+    info.thumbnailKey = thumbnailKey(key);
+    try {
+      await saveTracked(req, file, info.thumbnailKey, thumbnail, "image/webp");
+    } catch (err) {
+      await removeStored(key);
+      throw err;
+    }
+  }
+
+  return info;
 };
 
-// General file filter
-const generalFilter = (req, file, cb) => {
-  // Add any file type restrictions here
-  cb(null, true);
+// Multer storage engine that hands each file to the configured storage driver
+const storageEngine = (options = {}) => ({
+  _handleFile(req, file, cb) {
+    storeUpload(req, file, options).then((info) => cb(null, info), cb);
+  },
+  _removeFile(req, file, cb) {
+    Promise.all(
+      [file.key, file.thumbnailKey].filter(Boolean).map(removeStored)
+    ).then(() => cb(null), cb);
+  },
+});
+
+// Hard caps; the per-field limits above are usually lower
+const limits = {
+  fileSize: 50 * MB,
+  files: 20,
+  fields: 50,
+  fieldSize: 1 * MB,
 };
 
 // Multer configurations
 const uploadImage = multer({
-  storage: storage,
-  fileFilter: imageFilter,
-  //   limits: {
-  //     fileSize: 5 * 1024 * 1024, // 5MB limit
-  //   },
+  storage: storageEngine({ imagesOnly: true }),
+  limits,
 });
 
 const uploadGeneral = multer({
-  storage: storage,
-  fileFilter: generalFilter,
-  //   limits: {
-  //     fileSize: 10 * 1024 * 1024, // 10MB limit
-  //   },
+  storage: storageEngine(),
+  limits,
+});
+
+// Images that are shown in lists, so they get a thumbnail too
+const uploadPhotos = multer({
+  storage: storageEngine({ imagesOnly: true, thumbnails: true }),
+  limits,
 });
 
-// Helper function to get file path for database storage
+const multerMessages = {
+  LIMIT_FILE_SIZE: [413, "File is too large"],
+  LIMIT_FILE_COUNT: [400, "Too many files"],
+  LIMIT_UNEXPECTED_FILE: [400, "Unexpected file field"],
+  LIMIT_PART_COUNT: [400, "Too many parts"],
+  LIMIT_FIELD_KEY: [400, "Field name too long"],
+  LIMIT_FIELD_VALUE: [400, "Field value too long"],
+  LIMIT_FIELD_COUNT: [400, "Too many fields"],
+};
+
+// Run a multer middleware, turning its errors into AppErrors
+const handleUpload = (middleware) => (req, res, next) =>
+  middleware(req, res, (err) => {
+    if (!err || err instanceof AppError) return next(err);
+    if (err instanceof multer.MulterError) {
+      const [statusCode, message] = multerMessages[err.code] || [
+        400,
+        err.message,
+      ];
+      return next(
+        new AppError(
+          err.field ? `${message}: ${err.field}` : message,
+          statusCode
+        )
+      );
+    }
+    next(err);
+  });
+
+// Thumbnail reference for an image uploaded through uploadPhotos
+const getThumbnailPath = (file) => {
+  if (!file || !file.thumbnailKey) return null;
+  return storage.referenceFor(file.thumbnailKey);
+};
+
+// What to store in the database for an uploaded file: its URL if public,
+// its storage key if private
 const getRelativeFilePath = (file) => {
   if (!file) return null;
-
-  // Return path relative to public folder
-  const publicIndex = file.path.indexOf("public");
-  if (publicIndex !== -1) {
-    return file.path.substring(publicIndex + 6); // Remove 'public' from path
-  }
-  return file.filename;
+  return storage.referenceFor(file.key);
 };
 
-// Helper function to delete file
-const deleteFile = (filePath) => {
+// Delete a stored file by its database reference. Never rejects.
+const deleteFile = async (reference) => {
+  if (!reference) return false;
   try {
-    const fullPath = path.join(__dirname, "../public", filePath);
-    if (fs.existsSync(fullPath)) {
-      fs.unlinkSync(fullPath);
-      return true;
-    }
+    return await removeStored(storage.keyFromReference(reference));
   } catch (error) {
     console.error("Error deleting file:", error);
+    return false;
   }
-  return false;
 };
 
 // Vendor file upload configuration
-const uploadVendorFiles = uploadGeneral.fields([
-  { name: "portfolioImages", maxCount: 10 },
-  { name: "businessLogo", maxCount: 1 },
-  { name: "pricePackages", maxCount: 5 },
-  { name: "commercialRecord", maxCount: 1 },
-  { name: "cv", maxCount: 1 },
-  { name: "profileFile", maxCount: 1 },
-]);
+const uploadVendorFiles = handleUpload(
+  uploadGeneral.fields([
+    { name: "portfolioImages", maxCount: 10 },
+    { name: "businessLogo", maxCount: 1 },
+    { name: "pricePackages", maxCount: 5 },
+    { name: "commercialRecord", maxCount: 1 },
+    { name: "cv", maxCount: 1 },
+    { name: "profileFile", maxCount: 1 },
+    { name: "gasSafeCard", maxCount: 1 },
+  ])
+);
 
 // Helper function to process uploaded files for vendor
 const processVendorFiles = (files) => {
@@ -153,12 +374,14 @@ const processVendorFiles = (files) => {
 module.exports = {
   uploadImage,
   uploadGeneral,
+  handleUpload,
   getRelativeFilePath,
+  getThumbnailPath,
   deleteFile,
   processVendorFiles,
   // Specific upload configurations
-  uploadLogo: uploadImage.single("logo"),
-  uploadMultipleImages: uploadImage.array("images", 10),
-  uploadPortfolio: uploadImage.array("portfolio", 20),
+  uploadLogo: handleUpload(uploadImage.single("logo")),
+  uploadMultipleImages: handleUpload(uploadPhotos.array("images", 10)),
+  uploadPortfolio: handleUpload(uploadImage.array("portfolio", 20)),
   uploadVendorFiles,
 };
@@ -0,0 +1,99 @@
+const Outcode = require("../models/OutcodeModel");
+const AppError = require("./appError");
+
+const EARTH_RADIUS_MILES = 3963.2;
+
+// Known outcodes rarely move, so they are kept for the life of the process.
+// Unknown ones are only remembered briefly, so that importing the outcode
+// data (or a newer file) takes effect without a restart.
+const cache = new Map();
+const MISS_TTL_MS = 5 * 60 * 1000;
+
+const getCached = (outcode) => {
+  const entry = cache.get(outcode);
+  if (!entry) return undefined;
+  if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+    cache.delete(outcode);
+    return undefined;
+  }
+  return entry.point;
+};
+
+// "SW1A 1AA" -> "SW1A". Also accepts a bare outcode such as "SW1A"
+const getOutcode = (postcode) => {
+  if (!postcode) return null;
+  const compact = postcode.replace(/\s+/g, "").toUpperCase();
+  if (/^[A-Z]{1,2}[0-9][A-Z0-9]?$/.test(compact)) return compact;
+  if (/^[A-Z]{1,2}[0-9][A-Z0-9]?[0-9][A-Z]{2}$/.test(compact)) {
+    return compact.slice(0, -3);
+  }
+  return null;
+};
+
+/**
+ * Look up the GeoJSON point for a UK postcode (or outcode) using the outcode
+ * centroids in the Outcode collection. Nothing is bundled with the app: they
+ * are loaded from data/outcodes.csv with `npm run import:outcodes` (see
+ * scripts/importOutcodes.js). Resolves to null when the district is unknown,
+ * including when nothing has been imported yet.
+ */
+const geocodePostcode = async (postcode) => {
+  const outcode = getOutcode(postcode);
+  if (!outcode) return null;
+
+  let point = getCached(outcode);
+  if (point === undefined) {
+    const doc = await Outcode.findOne({ outcode });
+    point = doc
+      ? { type: "Point", coordinates: [...doc.location.coordinates] }
+      : null;
+    cache.set(outcode, {
+      point,
+      expiresAt: point ? null : Date.now() + MISS_TTL_MS,
+    });
+  }
+
+  return point ? { type: "Point", coordinates: [...point.coordinates] } : null;
+};
+
+// Great-circle distance in miles between two GeoJSON points
+const distanceInMiles = (a, b) => {
+  const toRad = (deg) => (deg * Math.PI) / 180;
+  const [lng1, lat1] = a.coordinates;
+  const [lng2, lat2] = b.coordinates;
+  const dLat = toRad(lat2 - lat1);
+  const dLng = toRad(lng2 - lng1);
+  const h =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_MILES * Math.asin(Math.sqrt(h));
+};
+
+// Middleware: turn ?near=<postcode> into ?near=<lat>,<lng> for APIFeatures
+const resolveNearQuery = async (req, res, next) => {
+  const { near } = req.query;
+  if (!near || /^-?[\d.]+,-?[\d.]+$/.test(near)) return next();
+
+  try {
+    const point = await geocodePostcode(near);
+    if (!point) {
+      return next(new AppError(`Unknown postcode: ${near}`, 400));
+    }
+    const [lng, lat] = point.coordinates;
+    req.query.near = `${lat},${lng}`;
+    next();
+  } catch (err) {
+    next(err);
+  }
+};
+
+const clearCache = () => cache.clear();
+
+module.exports = {
+  EARTH_RADIUS_MILES,
+  getOutcode,
+  geocodePostcode,
+  distanceInMiles,
+  resolveNearQuery,
+  clearCache,
+};
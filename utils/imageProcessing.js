@@ -0,0 +1,46 @@
+const sharp = require("sharp");
+const AppError = require("./appError");
+
+const THUMBNAIL_SIZE = 320;
+
+// Decode errors mean the file only looked like an image
+const unreadable = () =>
+  new AppError("The image could not be read. Please try another file.", 415);
+
+/**
+ * Re-encode an image without its metadata (EXIF, GPS, camera details),
+ * turning it upright first since the orientation tag goes too. GIFs carry
+ * no EXIF and are left alone. Resolves to { buffer, width, height }.
+ */
+const stripMetadata = async (buffer, mime) => {
+  try {
+    if (mime === "image/gif") {
+      const { width, height } = await sharp(buffer).metadata();
+      return { buffer, width, height };
+    }
+
+    const { data, info } = await sharp(buffer)
+      .rotate()
+      .toBuffer({ resolveWithObject: true });
+    return { buffer: data, width: info.width, height: info.height };
+  } catch (err) {
+    throw unreadable();
+  }
+};
+
+// A small WebP preview that fits in a THUMBNAIL_SIZE square
+const createThumbnail = async (buffer) => {
+  try {
+    return await sharp(buffer)
+      .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, {
+        fit: "inside",
+        withoutEnlargement: true,
+      })
+      .webp({ quality: 75 })
+      .toBuffer();
+  } catch (err) {
+    throw unreadable();
+  }
+};
+
+module.exports = { stripMetadata, createThumbnail };
@@ -0,0 +1,70 @@
+const Counter = require("../models/CounterModel");
+
+const DEFAULT_ENTITY = "default";
+const DEFAULT_PREFIX = "INV";
+
+/**
+ * Prefixes per business entity come from INVOICE_PREFIXES, e.g.
+ * "default=INV,commercial=GPC". Unknown entities use the default prefix.
+ */
+const getPrefixes = () =>
+  (process.env.INVOICE_PREFIXES || "")
+    .split(",")
+    .map((pair) => pair.split("=").map((part) => part.trim()))
+    .filter(([entity, prefix]) => entity && prefix)
+    .reduce(
+      (prefixes, [entity, prefix]) => ({ ...prefixes, [entity]: prefix }),
+      { [DEFAULT_ENTITY]: DEFAULT_PREFIX }
+    );
+
+const getPrefix = (entity = DEFAULT_ENTITY) => {
+  const prefixes = getPrefixes();
+  return prefixes[entity] || prefixes[DEFAULT_ENTITY];
+};
+
+const counterName = (prefix, year) => `${prefix}-${year}`;
+
+const formatNumber = (prefix, year, seq) =>
+  `${prefix}-${year}-${String(seq).padStart(4, "0")}`;
+
+// "INV-2025-0042" -> { prefix: "INV", year: 2025, seq: 42 }
+const parseNumber = (number) => {
+  const match = /^(.+)-(\d{4})-(\d+)$/.exec(number || "");
+  if (!match) return null;
+  return { prefix: match[1], year: Number(match[2]), seq: Number(match[3]) };
+};
+
+/**
+ * Take the next number in the prefix's sequence for this year. Pass the
+ * session of the transaction that saves the document so a failed save
+ * doesn't leave a gap.
+ */
+const nextNumber = async (prefix, session) => {
+  const year = new Date().getFullYear();
+  const seq = await Counter.next(counterName(prefix, year), session);
+  return formatNumber(prefix, year, seq);
+};
+
+// Raise each prefix/year counter to the highest number already used
+const seedCounters = async (numbers) => {
+  const highest = {};
+  numbers.map(parseNumber).forEach((parsed) => {
+    if (!parsed) return;
+    const name = counterName(parsed.prefix, parsed.year);
+    highest[name] = Math.max(highest[name] || 0, parsed.seq);
+  });
+
+  await Promise.all(
+    Object.entries(highest).map(([name, seq]) => Counter.raiseTo(name, seq))
+  );
+  return highest;
+};
+
+module.exports = {
+  DEFAULT_ENTITY,
+  getPrefix,
+  formatNumber,
+  parseNumber,
+  nextNumber,
+  seedCounters,
+};
@@ -0,0 +1,235 @@
+const PDFDocument = require("pdfkit");
+
+const BRAND_COLOR = "#4CAF50";
+const TEXT_COLOR = "#333333";
+const MUTED_COLOR = "#777777";
+
+const CURRENCY_SYMBOLS = { gbp: "£", usd: "$", cad: "CA$", eur: "€" };
+
+const money = (amount, currency) =>
+  `${CURRENCY_SYMBOLS[currency] || ""}${(Number(amount) || 0).toFixed(2)}`;
+
+const formatDate = (date) =>
+  date
+    ? new Date(date).toLocaleDateString("en-GB", {
+        day: "numeric",
+        month: "short",
+        year: "numeric",
+      })
+    : "-";
+
+const drawHeader = (doc, invoice, title) => {
+  doc.rect(0, 0, doc.page.width, 90).fill(BRAND_COLOR);
+  doc
+    .fillColor("#ffffff")
+    .fontSize(24)
+    .font("Helvetica-Bold")
+    .text("Gas Plumbers", 50, 32);
+  doc
+    .fontSize(18)
+    .text(title, 50, 36, { align: "right", width: doc.page.width - 100 });
+
+  doc.fillColor(TEXT_COLOR).font("Helvetica").fontSize(10);
+  const top = 110;
+  doc.text(`Number: ${invoice.invoiceNumber || "DRAFT"}`, 350, top);
+  doc.text(`Status: ${invoice.status}`, 350, top + 15);
+  doc.text(`Issued: ${formatDate(invoice.issuedDate)}`, 350, top + 30);
+  doc.text(`Due: ${formatDate(invoice.dueDate)}`, 350, top + 45);
+  if (invoice.paidDate) {
+    doc.text(`Paid: ${formatDate(invoice.paidDate)}`, 350, top + 60);
+  }
+};
+
+const drawParties = (doc, invoice) => {
+  const customer = invoice.customerId || {};
+  const location = customer.location || {};
+  const engineer = invoice.engineerId;
+  const top = 110;
+
+  doc.font("Helvetica-Bold").text("Bill to", 50, top);
+  doc.font("Helvetica");
+  [
+    customer.username,
+    location.address,
+    location.city,
+    location.zipCode,
+    location.country,
+  ]
+    .filter(Boolean)
+    .forEach((line) => doc.text(line));
+
+  if (engineer && engineer.username) {
+    doc.moveDown(0.5);
+    doc.font("Helvetica-Bold").text("Engineer");
+    doc.font("Helvetica").text(engineer.username);
+  }
+};
+
+const drawJob = (doc, job) => {
+  if (!job || !job.title) return;
+
+  doc.moveDown(1.5);
+  doc.x = 50;
+  doc.font("Helvetica-Bold").fontSize(12).text(job.title);
+  if (job.description) {
+    doc
+      .font("Helvetica")
+      .fontSize(10)
+      .fillColor(MUTED_COLOR)
+      .text(job.description, { width: doc.page.width - 100 });
+  }
+  doc.fillColor(TEXT_COLOR);
+};
+
+const columns = [
+  { key: "description", label: "Description", x: 50, width: 200 },
+  { key: "quantity", label: "Qty", x: 255, width: 40, align: "right" },
+  { key: "unitPrice", label: "Unit", x: 300, width: 65, align: "right" },
+  { key: "vatRate", label: "VAT", x: 370, width: 40, align: "right" },
+  { key: "netAmount", label: "Net", x: 415, width: 60, align: "right" },
+  { key: "totalAmount", label: "Total", x: 480, width: 65, align: "right" },
+];
+
+const drawRow = (doc, values, y, font = "Helvetica") => {
+  doc.font(font);
+  columns.forEach((column) => {
+    doc.text(values[column.key], column.x, y, {
+      width: column.width,
+      align: column.align || "left",
+    });
+  });
+};
+
+const drawLineItems = (doc, invoice) => {
+  const currency = invoice.currency;
+  const items = invoice.lineItems.length
+    ? invoice.lineItems
+    : [
+        {
+          description: "Emergency call-out work",
+          quantity: 1,
+          unitPrice: invoice.amount,
+          netAmount: invoice.amount,
+          totalAmount: invoice.amount,
+        },
+      ];
+
+  let y = Math.max(doc.y + 25, 220);
+  drawRow(
+    doc,
+    Object.fromEntries(columns.map((column) => [column.key, column.label])),
+    y,
+    "Helvetica-Bold"
+  );
+  y += 18;
+  doc
+    .moveTo(50, y - 4)
+    .lineTo(545, y - 4)
+    .strokeColor("#eeeeee")
+    .stroke();
+
+  items.forEach((item) => {
+    if (y > doc.page.height - 150) {
+      doc.addPage();
+      y = 50;
+    }
+    drawRow(
+      doc,
+      {
+        description: item.description,
+        quantity: String(item.quantity),
+        unitPrice: money(item.unitPrice, currency),
+        vatRate: item.vatRate === undefined ? "-" : `${item.vatRate}%`,
+        netAmount: money(item.netAmount, currency),
+        totalAmount: money(item.totalAmount, currency),
+      },
+      y
+    );
+    y = Math.max(doc.y, y + 15) + 5;
+  });
+
+  return y;
+};
+
+const drawTotals = (doc, invoice, y) => {
+  const currency = invoice.currency;
+  const rows = [];
+
+  if (invoice.subtotal !== undefined) {
+    rows.push(["Subtotal", money(invoice.subtotal, currency)]);
+    if (invoice.discountTotal) {
+      rows.push(["Discount", `-${money(invoice.discountTotal, currency)}`]);
+    }
+    rows.push(["VAT", money(invoice.vatTotal, currency)]);
+  }
+  rows.push(["Total", money(invoice.amount, currency)]);
+  if (invoice.amountRefunded) {
+    rows.push(["Refunded", `-${money(invoice.amountRefunded, currency)}`]);
+  }
+
+  let rowY = y + 10;
+  rows.forEach(([label, value], index) => {
+    const bold = label === "Total";
+    doc.font(bold ? "Helvetica-Bold" : "Helvetica");
+    doc.text(label, 370, rowY, { width: 100, align: "right" });
+    doc.text(value, 480, rowY, { width: 65, align: "right" });
+    rowY += index === rows.length - 1 ? 0 : 16;
+  });
+
+  return rowY + 30;
+};
+
+const drawPayment = (doc, invoice, y) => {
+  if (invoice.status !== "paid" && invoice.status !== "refunded") return;
+
+  const card = invoice.paymentMetadata || {};
+  doc.font("Helvetica-Bold").text("Payment", 50, y);
+  doc.font("Helvetica");
+  doc.text(`Paid on ${formatDate(invoice.paidDate)}`);
+  if (card.last4) {
+    doc.text(`${(card.brand || "Card").toUpperCase()} ending ${card.last4}`);
+  }
+};
+
+const drawFooter = (doc) => {
+  doc
+    .fontSize(8)
+    .fillColor(MUTED_COLOR)
+    .text("Thank you for choosing Gas Plumbers.", 50, doc.page.height - 70, {
+      align: "center",
+      width: doc.page.width - 100,
+    });
+};
+
+/**
+ * Render an invoice (or a receipt, once paid) to a PDF buffer. Expects
+ * customerId, engineerId and jobId to be populated.
+ */
+const renderInvoicePdf = (invoice) =>
+  new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: "A4", margin: 50 });
+    const chunks = [];
+    doc.on("data", (chunk) => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+
+    const title = invoice.status === "paid" ? "RECEIPT" : "INVOICE";
+    doc.info.Title = `${title} ${invoice.invoiceNumber || ""}`.trim();
+
+    drawHeader(doc, invoice, title);
+    drawParties(doc, invoice);
+    drawJob(doc, invoice.jobId);
+    const tableEnd = drawLineItems(doc, invoice);
+    const totalsEnd = drawTotals(doc, invoice, tableEnd);
+    drawPayment(doc, invoice, totalsEnd);
+    drawFooter(doc);
+
+    doc.end();
+  });
+
+const pdfFilename = (invoice) =>
+  `${invoice.status === "paid" ? "receipt" : "invoice"}-${
+    invoice.invoiceNumber || "draft"
+  }.pdf`;
+
+module.exports = { renderInvoicePdf, pdfFilename };
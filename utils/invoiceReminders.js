@@ -0,0 +1,130 @@
+const Invoice = require("../models/InvoiceModel");
+const sendEmail = require("./email");
+const { scheduleJob } = require("./scheduler");
+const { formatAmount, frontendUrl } = require("./notifications");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_REMINDER_DAYS = [-3, 0, 7];
+const DEFAULT_INTERVAL_MINUTES = 60;
+
+/**
+ * Reminder cadence in days relative to the due date, from
+ * INVOICE_REMINDER_DAYS (e.g. "-3,0,7" for 3 days before, on the day and a
+ * week after).
+ */
+const getReminderDays = () => {
+  const days = (process.env.INVOICE_REMINDER_DAYS || "")
+    .split(",")
+    .filter((day) => day.trim() !== "")
+    .map(Number)
+    .filter((day) => !Number.isNaN(day));
+  return (days.length ? days : DEFAULT_REMINDER_DAYS).sort((a, b) => a - b);
+};
+
+const describeOffset = (offsetDays) => {
+  if (offsetDays < 0) return `due in ${-offsetDays} day(s)`;
+  if (offsetDays === 0) return "due today";
+  return `${offsetDays} day(s) overdue`;
+};
+
+const sendReminder = (invoice, offsetDays) =>
+  sendEmail({
+    email: invoice.customerId.email,
+    template: "invoiceReminder",
+    data: {
+      name: invoice.customerId.username,
+      invoiceNumber: invoice.invoiceNumber,
+      amount: formatAmount(invoice.amount, invoice.currency),
+      dueDate: invoice.dueDate.toDateString(),
+      dueDescription: describeOffset(offsetDays),
+      invoiceUrl: frontendUrl(`/invoices/${invoice._id}`),
+    },
+  });
+
+// When a reminder stage starts: `offsetDays` from the start of the due day.
+// Due dates are the very end of the day, so counting from them would send
+// "due today" at midnight after the invoice was already overdue.
+const stageStart = (dueDate, offsetDays) => {
+  const date = new Date(dueDate);
+  date.setHours(0, 0, 0, 0);
+  date.setDate(date.getDate() + offsetDays);
+  return date;
+};
+
+// Mark unpaid invoices past their due date as overdue
+const markOverdue = (now) =>
+  Invoice.updateMany(
+    { status: "pending", dueDate: { $lt: now } },
+    { status: "overdue" }
+  );
+
+/**
+ * Send the latest reminder each unpaid invoice is due. Earlier stages that
+ * were missed (e.g. while the app was down) are skipped, and each reminder is
+ * claimed on the invoice before sending so nobody gets a duplicate.
+ */
+const sendDueReminders = async (now) => {
+  const reminderDays = getReminderDays();
+  const earliest = reminderDays[0];
+
+  const invoices = await Invoice.find({
+    status: { $in: ["pending", "overdue"] },
+    // Anything due by the end of the day the earliest stage covers
+    dueDate: { $lt: new Date(now.getTime() + (1 - earliest) * DAY_MS) },
+  }).populate("customerId", "username email");
+
+  let sent = 0;
+  for (const invoice of invoices) {
+    const applicable = reminderDays.filter(
+      (offset) => now >= stageStart(invoice.dueDate, offset)
+    );
+    const offsetDays = applicable[applicable.length - 1];
+    const alreadySent = invoice.reminders.some(
+      (reminder) => reminder.offsetDays >= offsetDays
+    );
+    if (applicable.length === 0 || alreadySent || !invoice.customerId) {
+      continue;
+    }
+
+    const claimed = await Invoice.updateOne(
+      { _id: invoice._id, "reminders.offsetDays": { $ne: offsetDays } },
+      { $push: { reminders: { offsetDays, sentAt: now } } }
+    );
+    if (claimed.modifiedCount === 0) continue;
+
+    try {
+      await sendReminder(invoice, offsetDays);
+      sent += 1;
+    } catch (err) {
+      // Release the claim so the next run tries again
+      await Invoice.updateOne(
+        { _id: invoice._id },
+        { $pull: { reminders: { offsetDays } } }
+      );
+      console.error(`Reminder for invoice ${invoice._id} failed:`, err);
+    }
+  }
+
+  return sent;
+};
+
+const runInvoiceReminders = async (now = new Date()) => {
+  const overdue = await markOverdue(now);
+  const sent = await sendDueReminders(now);
+  return { markedOverdue: overdue.modifiedCount, remindersSent: sent };
+};
+
+const startInvoiceReminderJob = () => {
+  const minutes =
+    Number(process.env.INVOICE_REMINDER_INTERVAL_MINUTES) ||
+    DEFAULT_INTERVAL_MINUTES;
+  return scheduleJob("invoice-reminders", minutes * 60 * 1000, (now) =>
+    runInvoiceReminders(now)
+  );
+};
+
+module.exports = {
+  getReminderDays,
+  runInvoiceReminders,
+  startInvoiceReminderJob,
+};
@@ -0,0 +1,138 @@
+// Server-side invoice maths. All sums are done in pence to avoid floating
+// point drift, then returned in pounds to 2 decimal places.
+
+const DEFAULT_VAT_RATES = { standard: 20, reduced: 5, zero: 0 };
+
+/**
+ * VAT rates (percent) by name from VAT_RATES, e.g.
+ * "standard=20,reduced=5,zero=0". The standard rate is the default.
+ */
+const getVatRates = () => {
+  const configured = (process.env.VAT_RATES || "")
+    .split(",")
+    .map((pair) => pair.split("=").map((part) => part.trim()))
+    .filter(([name, rate]) => name && rate !== undefined && rate !== "")
+    .reduce((rates, [name, rate]) => ({ ...rates, [name]: Number(rate) }), {});
+  return Object.keys(configured).length
+    ? { ...DEFAULT_VAT_RATES, ...configured }
+    : DEFAULT_VAT_RATES;
+};
+
+const getDefaultVatRate = () => getVatRates().standard;
+
+const isAllowedVatRate = (rate) => Object.values(getVatRates()).includes(rate);
+
+const toPence = (pounds) => Math.round((Number(pounds) || 0) * 100);
+const toPounds = (pence) => Math.round(pence) / 100;
+
+// Discount in pence for `amount` pence; fixed discounts are in pounds
+const discountPence = (discount, amount) => {
+  if (!discount || !discount.value) return 0;
+  const value =
+    discount.type === "percent"
+      ? Math.round((amount * discount.value) / 100)
+      : toPence(discount.value);
+  return Math.min(Math.max(value, 0), amount);
+};
+
+/**
+ * Work out each line's net, VAT and total, plus the invoice totals. Line
+ * discounts apply first; an invoice discount is then spread across the lines
+ * in proportion to their net value so VAT is charged on what is actually paid.
+ */
+const calculateTotals = (lineItems, invoiceDiscount) => {
+  const lines = lineItems.map((item) => {
+    const gross = Math.round(item.quantity * toPence(item.unitPrice));
+    const lineDiscount = discountPence(item.discount, gross);
+    return { gross, lineDiscount, net: gross - lineDiscount };
+  });
+
+  const netBeforeInvoiceDiscount = lines.reduce((sum, l) => sum + l.net, 0);
+  const invoiceDiscountTotal = discountPence(
+    invoiceDiscount,
+    netBeforeInvoiceDiscount
+  );
+
+  // Spread the invoice discount, giving any rounding remainder to the last line
+  let remaining = invoiceDiscountTotal;
+  lines.forEach((line, index) => {
+    const share =
+      index === lines.length - 1
+        ? remaining
+        : Math.round(
+            (invoiceDiscountTotal * line.net) / (netBeforeInvoiceDiscount || 1)
+          );
+    line.invoiceDiscount = Math.min(share, line.net);
+    remaining -= line.invoiceDiscount;
+  });
+
+  const items = lineItems.map((item, index) => {
+    const line = lines[index];
+    const net = line.net - line.invoiceDiscount;
+    const vatRate =
+      item.vatRate === undefined ? getDefaultVatRate() : item.vatRate;
+    const vat = Math.round((net * vatRate) / 100);
+    return {
+      vatRate,
+      discountAmount: toPounds(line.lineDiscount + line.invoiceDiscount),
+      netAmount: toPounds(net),
+      vatAmount: toPounds(vat),
+      totalAmount: toPounds(net + vat),
+      vatPence: vat,
+      netPence: net,
+    };
+  });
+
+  const subtotal = lines.reduce((sum, l) => sum + l.gross, 0);
+  const discountTotal =
+    lines.reduce((sum, l) => sum + l.lineDiscount, 0) + invoiceDiscountTotal;
+  const netTotal = items.reduce((sum, i) => sum + i.netPence, 0);
+  const vatTotal = items.reduce((sum, i) => sum + i.vatPence, 0);
+
+  return {
+    items: items.map(({ vatPence, netPence, ...rest }) => rest),
+    subtotal: toPounds(subtotal),
+    discountTotal: toPounds(discountTotal),
+    netTotal: toPounds(netTotal),
+    vatTotal: toPounds(vatTotal),
+    total: toPounds(netTotal + vatTotal),
+  };
+};
+
+// Round worked time up to the next quarter hour
+const billableHours = (hours) => Math.ceil(hours * 4) / 4;
+
+/**
+ * Labour lines for a job: the first hour at the first-hour rate and the rest
+ * at the hourly rate.
+ */
+const buildLabourItems = ({ hours, firstHourRate, hourlyRate }) => {
+  const billed = Math.max(billableHours(hours), 1);
+  const items = [
+    {
+      type: "labour",
+      description: "Labour - first hour",
+      quantity: 1,
+      unitPrice: firstHourRate,
+    },
+  ];
+
+  if (billed > 1) {
+    items.push({
+      type: "labour",
+      description: "Labour - additional hours",
+      quantity: billed - 1,
+      unitPrice: hourlyRate || firstHourRate,
+    });
+  }
+
+  return items;
+};
+
+module.exports = {
+  getVatRates,
+  getDefaultVatRate,
+  isAllowedVatRate,
+  calculateTotals,
+  buildLabourItems,
+};
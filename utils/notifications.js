@@ -0,0 +1,167 @@
+const sendEmail = require("./email");
+const { renderInvoicePdf, pdfFilename } = require("./invoicePdf");
+
+// Emails sent as a side effect of something else happening. Failures are
+// logged rather than thrown so they never undo or fail the action itself.
+
+const frontendUrl = (path) => `${process.env.FRONTEND_URL}${path}`;
+
+const formatAmount = (amount, currency) =>
+  `${Number(amount).toFixed(2)} ${currency.toUpperCase()}`;
+
+const formatDate = (date) => (date ? new Date(date).toDateString() : "");
+
+const quietly =
+  (description, fn) =>
+  async (...args) => {
+    try {
+      await fn(...args);
+    } catch (err) {
+      console.error(`${description} email failed:`, err);
+    }
+  };
+
+const invoiceAttachment = async (invoice) => ({
+  filename: pdfFilename(invoice),
+  content: await renderInvoicePdf(invoice),
+  contentType: "application/pdf",
+});
+
+// A fresh, populated copy so the caller's document is left untouched
+const loadRequest = (request) =>
+  request.constructor
+    .findById(request._id)
+    .populate("customerId", "username email")
+    .populate("engineerId", "username email");
+
+const loadInvoice = async (invoice) => {
+  const doc = await invoice.constructor.findById(invoice._id);
+  return doc && doc.populateDetails();
+};
+
+exports.sendWelcomeEmail = quietly("Welcome", async (user) => {
+  await sendEmail({
+    email: user.email,
+    template: "welcome",
+    data: { name: user.username, accountUrl: frontendUrl("/account") },
+  });
+});
+
+exports.sendAccountLockedEmail = quietly(
+  "Account locked",
+  async (user, lockedUntil, attempts) => {
+    await sendEmail({
+      email: user.email,
+      template: "accountLocked",
+      data: {
+        name: user.username,
+        attempts,
+        lockedUntil: lockedUntil.toLocaleString("en-GB"),
+        resetUrl: frontendUrl("/forgot-password"),
+      },
+    });
+  }
+);
+
+const APPLICATION_TEMPLATES = {
+  submitted: "applicationReceived",
+  changes_requested: "applicationChangesRequested",
+  approved: "applicationApproved",
+  rejected: "applicationRejected",
+};
+
+// Tell the engineer where their application has got to
+exports.sendApplicationEmail = quietly(
+  "Engineer application",
+  async (application, engineer, comment) => {
+    await sendEmail({
+      email: engineer.email,
+      template: APPLICATION_TEMPLATES[application.status],
+      data: {
+        name: engineer.username,
+        comment,
+        applicationUrl: frontendUrl("/engineer/application"),
+        jobsUrl: frontendUrl("/engineer/jobs"),
+      },
+    });
+  }
+);
+
+exports.sendJobAssignedEmail = quietly("Job assigned", async (request) => {
+  const job = await loadRequest(request);
+  if (!job || !job.engineerId) return;
+
+  await sendEmail({
+    email: job.engineerId.email,
+    template: "jobAssigned",
+    data: {
+      name: job.engineerId.username,
+      jobTitle: job.title,
+      address: [job.location.address, job.location.zipCode]
+        .filter(Boolean)
+        .join(", "),
+      scheduledDate: job.scheduledDate
+        ? job.scheduledDate.toLocaleString("en-GB")
+        : "to be arranged",
+      jobUrl: frontendUrl(`/emergency-requests/${job._id}`),
+    },
+  });
+});
+
+exports.sendJobCompletedEmail = quietly("Job completed", async (request) => {
+  const job = await loadRequest(request);
+  if (!job || !job.customerId) return;
+
+  await sendEmail({
+    email: job.customerId.email,
+    template: "jobCompleted",
+    data: {
+      name: job.customerId.username,
+      jobTitle: job.title,
+      engineerName: job.engineerId ? job.engineerId.username : "Our engineer",
+      completedDate: formatDate(job.completedDate),
+      jobUrl: frontendUrl(`/emergency-requests/${job._id}`),
+    },
+  });
+});
+
+exports.sendInvoiceIssuedEmail = quietly("Invoice issued", async (invoice) => {
+  const doc = await loadInvoice(invoice);
+  if (!doc || !doc.customerId) return;
+
+  await sendEmail({
+    email: doc.customerId.email,
+    template: "invoiceIssued",
+    data: {
+      name: doc.customerId.username,
+      invoiceNumber: doc.invoiceNumber,
+      amount: formatAmount(doc.amount, doc.currency),
+      dueDate: formatDate(doc.dueDate),
+      invoiceUrl: frontendUrl(`/invoices/${doc._id}`),
+    },
+    attachments: [await invoiceAttachment(doc)],
+  });
+});
+
+// Receipt with the PDF attached, sent once a payment has been recorded
+exports.sendPaymentReceivedEmail = quietly(
+  "Payment confirmation",
+  async (invoice) => {
+    const doc = await loadInvoice(invoice);
+    if (!doc || !doc.customerId) return;
+
+    await sendEmail({
+      email: doc.customerId.email,
+      template: "paymentReceived",
+      data: {
+        name: doc.customerId.username,
+        invoiceNumber: doc.invoiceNumber,
+        amount: formatAmount(doc.amount, doc.currency),
+      },
+      attachments: [await invoiceAttachment(doc)],
+    });
+  }
+);
+
+exports.formatAmount = formatAmount;
+exports.frontendUrl = frontendUrl;
@@ -0,0 +1,202 @@
+const crypto = require("crypto");
+const OTP = require("../models/OTPModel");
+const User = require("../models/UserModel");
+const AppError = require("./appError");
+const { sendSms } = require("./sms");
+
+const CODE_LENGTH = 6;
+
+const setting = (name, fallback) => Number(process.env[name]) || fallback;
+const getExpiryMinutes = () => setting("OTP_EXPIRES_MINUTES", 5);
+const getMaxAttempts = () => setting("OTP_MAX_ATTEMPTS", 5);
+const getResendSeconds = () => setting("OTP_RESEND_SECONDS", 60);
+const getMaxSends = () => setting("OTP_MAX_SENDS", 5);
+
+const generateCode = () =>
+  String(crypto.randomInt(0, 10 ** CODE_LENGTH)).padStart(CODE_LENGTH, "0");
+
+// Keyed so a leaked OTP collection can't be brute forced offline
+const hashCode = (userId, code) =>
+  crypto
+    .createHmac("sha256", process.env.OTP_SECRET || process.env.JWT_SECRET)
+    .update(`${userId}:${code}`)
+    .digest("hex");
+
+const codesMatch = (hash, otpHash) =>
+  crypto.timingSafeEqual(Buffer.from(hash), Buffer.from(otpHash));
+
+const resendAvailableAt = (otp) =>
+  new Date(otp.lastSentAt.getTime() + getResendSeconds() * 1000);
+
+/**
+ * Text a new verification code to the user's phone number. A resend replaces
+ * the previous code, and is only allowed once the cooldown has passed and
+ * while the user has sends left for this window.
+ */
+exports.sendPhoneOtp = async (user) => {
+  if (user.phoneVerified) {
+    throw new AppError("Your phone number is already verified", 400);
+  }
+
+  const now = new Date();
+  const code = generateCode();
+  const fields = {
+    phoneNumber: user.phoneNumber,
+    otpHash: hashCode(user._id, code),
+    userType: user.role,
+    attempts: 0,
+    lastSentAt: now,
+    expiresAt: new Date(now.getTime() + getExpiryMinutes() * 60 * 1000),
+  };
+
+  const existing = await OTP.findOne({
+    userId: user._id,
+    expiresAt: { $gt: now },
+  });
+  let otp;
+
+  if (existing) {
+    if (resendAvailableAt(existing) > now) {
+      throw new AppError("Please wait before requesting another code", 429);
+    }
+    if (existing.sendCount >= getMaxSends()) {
+      throw new AppError(
+        "Too many codes requested. Please try again later",
+        429
+      );
+    }
+
+    // Only succeeds if no other resend got in first
+    otp = await OTP.findOneAndUpdate(
+      { _id: existing._id, lastSentAt: existing.lastSentAt },
+      { $set: fields, $inc: { sendCount: 1 } },
+      { new: true }
+    );
+    if (!otp) {
+      throw new AppError("Please wait before requesting another code", 429);
+    }
+  } else {
+    // Replace any expired code MongoDB hasn't removed yet
+    await OTP.deleteMany({ userId: user._id });
+    try {
+      otp = await OTP.create({ ...fields, userId: user._id });
+    } catch (err) {
+      if (err.code === 11000) {
+        throw new AppError("Please wait before requesting another code", 429);
+      }
+      throw err;
+    }
+  }
+
+  try {
+    await sendSms(
+      user.phoneNumber,
+      `Your Gas Plumbers verification code is ${code}. It expires in ${getExpiryMinutes()} minutes.`
+    );
+  } catch (err) {
+    console.error("OTP SMS error:", err);
+    // Give the send back so the user can try again straight away
+    if (existing) {
+      await OTP.updateOne(
+        { _id: otp._id },
+        { $set: { lastSentAt: existing.lastSentAt }, $inc: { sendCount: -1 } }
+      );
+    } else {
+      await OTP.deleteOne({ _id: otp._id });
+    }
+    throw new AppError(
+      "There was an error sending the verification code. Try again later!",
+      500
+    );
+  }
+
+  return {
+    expiresAt: otp.expiresAt,
+    resendAvailableAt: resendAvailableAt(otp),
+  };
+};
+
+/**
+ * Check a code sent by sendPhoneOtp. Each check uses up an attempt, whether
+ * or not it matches; a matching code is consumed and the user's phone number
+ * marked as verified.
+ */
+exports.verifyPhoneOtp = async (user, code) => {
+  if (!code) {
+    throw new AppError("Please provide the verification code", 400);
+  }
+
+  const now = new Date();
+  const otp = await OTP.findOneAndUpdate(
+    {
+      userId: user._id,
+      expiresAt: { $gt: now },
+      attempts: { $lt: getMaxAttempts() },
+    },
+    { $inc: { attempts: 1 } },
+    { new: true }
+  );
+
+  if (!otp) {
+    const locked = await OTP.exists({
+      userId: user._id,
+      expiresAt: { $gt: now },
+    });
+    if (locked) {
+      throw new AppError(
+        "Too many incorrect codes. Please request a new code",
+        429
+      );
+    }
+    throw new AppError(
+      "Verification code is invalid or has expired. Please request a new code",
+      400
+    );
+  }
+
+  // The code was sent to a number the user has since changed
+  if (otp.phoneNumber !== user.phoneNumber) {
+    await OTP.deleteOne({ _id: otp._id });
+    throw new AppError(
+      "Your phone number has changed. Please request a new code",
+      400
+    );
+  }
+
+  if (!codesMatch(hashCode(user._id, String(code).trim()), otp.otpHash)) {
+    const remaining = getMaxAttempts() - otp.attempts;
+    throw new AppError(
+      remaining > 0
+        ? `Incorrect verification code. ${remaining} attempt(s) left`
+        : "Too many incorrect codes. Please request a new code",
+      remaining > 0 ? 400 : 429
+    );
+  }
+
+  // Consume the code so it can't be used twice
+  const consumed = await OTP.findOneAndDelete({
+    _id: otp._id,
+    otpHash: otp.otpHash,
+  });
+  if (!consumed) {
+    throw new AppError(
+      "Verification code is invalid or has expired. Please request a new code",
+      400
+    );
+  }
+
+  // Only the number the code was sent to is marked as verified
+  const updatedUser = await User.findOneAndUpdate(
+    { _id: user._id, phoneNumber: otp.phoneNumber },
+    { phoneVerified: true, phoneVerifiedAt: now },
+    { new: true }
+  );
+  if (!updatedUser) {
+    throw new AppError(
+      "Your phone number has changed. Please request a new code",
+      400
+    );
+  }
+
+  return updatedUser;
+};
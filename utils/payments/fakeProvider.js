@@ -0,0 +1,93 @@
+const crypto = require("crypto");
+const AppError = require("../appError");
+const { normalizeEvent } = require("./stripeEvents");
+
+// Offline stand-in for Stripe. Events look like Stripe's and are signed the
+// same way ("t=<timestamp>,v1=<hmac>"), so the webhook can be exercised
+// end to end without network access.
+
+const SIGNATURE_TOLERANCE_SECONDS = 5 * 60;
+
+// Without FAKE_PAYMENT_WEBHOOK_SECRET only this process can sign events
+// (see paymentController.simulatePayment), so nobody else can forge them
+const processSecret = crypto.randomBytes(32).toString("hex");
+
+const getSecret = () =>
+  process.env.FAKE_PAYMENT_WEBHOOK_SECRET || processSecret;
+
+const hmac = (timestamp, payload) =>
+  crypto
+    .createHmac("sha256", getSecret())
+    .update(`${timestamp}.${payload}`)
+    .digest("hex");
+
+const randomId = (prefix) =>
+  `${prefix}_fake_${crypto.randomBytes(12).toString("hex")}`;
+
+exports.name = "fake";
+
+exports.createPaymentIntent = async ({ amount, currency, metadata }) => {
+  const id = randomId("pi");
+  return {
+    id,
+    clientSecret: `${id}_secret_${crypto.randomBytes(8).toString("hex")}`,
+    status: "requires_payment_method",
+    amount,
+    currency,
+    metadata,
+  };
+};
+
+exports.refund = async ({ amount }) => ({
+  id: randomId("re"),
+  status: "succeeded",
+  amount,
+});
+
+// Signature header for a payload, as the webhook expects it
+exports.sign = (payload, timestamp = Math.floor(Date.now() / 1000)) =>
+  `t=${timestamp},v1=${hmac(timestamp, payload)}`;
+
+// Build a Stripe-shaped payment intent event
+exports.buildEvent = (type, { paymentIntentId, invoiceId, card }) => ({
+  id: randomId("evt"),
+  type,
+  data: {
+    object: {
+      id: paymentIntentId,
+      customer: "cus_fake",
+      metadata: { invoiceId },
+      payment_method: {
+        card: card || {
+          last4: "4242",
+          brand: "visa",
+          country: "GB",
+          funding: "credit",
+        },
+      },
+    },
+  },
+});
+
+exports.parseWebhook = async (rawBody, signature) => {
+  const payload = Buffer.isBuffer(rawBody) ? rawBody.toString("utf8") : rawBody;
+  const parts = Object.fromEntries(
+    String(signature || "")
+      .split(",")
+      .map((part) => part.split("="))
+  );
+  const timestamp = Number(parts.t);
+
+  const expected = Buffer.from(hmac(timestamp, payload));
+  const received = Buffer.from(parts.v1 || "");
+  if (
+    !timestamp ||
+    Math.abs(Date.now() / 1000 - timestamp) > SIGNATURE_TOLERANCE_SECONDS ||
+    expected.length !== received.length ||
+    !crypto.timingSafeEqual(expected, received)
+  ) {
+    throw new AppError("Webhook signature verification failed", 400);
+  }
+
+  return normalizeEvent(JSON.parse(payload));
+};
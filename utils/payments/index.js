@@ -0,0 +1,27 @@
+const stripeProvider = require("./stripeProvider");
+const fakeProvider = require("./fakeProvider");
+
+const providers = {
+  stripe: stripeProvider,
+  fake: fakeProvider,
+};
+
+/**
+ * The configured payment provider (PAYMENT_PROVIDER, "stripe" or "fake").
+ * Every provider exposes:
+ *  - createPaymentIntent({ amount, currency, metadata }) -> { id, clientSecret, status }
+ *  - refund({ paymentIntentId, amount, metadata }) -> { id, status, amount }
+ *  - parseWebhook(rawBody, signature) -> normalized event (see stripeEvents.js)
+ */
+const getProvider = () => {
+  const name = process.env.PAYMENT_PROVIDER || "stripe";
+  const provider = providers[name];
+  if (!provider) throw new Error(`Unknown payment provider: ${name}`);
+  // Fake payments would let anyone mark invoices paid
+  if (provider === fakeProvider && process.env.NODE_ENV === "production") {
+    throw new Error("The fake payment provider cannot be used in production");
+  }
+  return provider;
+};
+
+module.exports = { getProvider, providers };
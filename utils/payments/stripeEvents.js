@@ -0,0 +1,37 @@
+// Map a Stripe-shaped webhook event to the provider-neutral form used by
+// paymentController: { id, type, paymentIntentId, customerId, invoiceId, card }
+
+const EVENT_TYPES = {
+  "payment_intent.processing": "payment.processing",
+  "payment_intent.succeeded": "payment.succeeded",
+  "payment_intent.payment_failed": "payment.failed",
+  "payment_intent.canceled": "payment.failed",
+};
+
+const normalizeEvent = (event) => {
+  const intent = (event.data && event.data.object) || {};
+  const paymentMethod =
+    intent.payment_method && typeof intent.payment_method === "object"
+      ? intent.payment_method
+      : null;
+  const card = paymentMethod && paymentMethod.card;
+
+  return {
+    id: event.id,
+    type: EVENT_TYPES[event.type] || "ignored",
+    providerType: event.type,
+    paymentIntentId: intent.id,
+    customerId: intent.customer || undefined,
+    invoiceId: intent.metadata && intent.metadata.invoiceId,
+    card: card
+      ? {
+          last4: card.last4,
+          brand: card.brand,
+          country: card.country,
+          funding: card.funding,
+        }
+      : undefined,
+  };
+};
+
+module.exports = { EVENT_TYPES, normalizeEvent };
@@ -0,0 +1,64 @@
+const Stripe = require("stripe");
+const AppError = require("../appError");
+const { normalizeEvent } = require("./stripeEvents");
+
+let client;
+const getClient = () => {
+  if (!client) client = new Stripe(process.env.STRIPE_SECRET_KEY);
+  return client;
+};
+
+exports.name = "stripe";
+
+exports.createPaymentIntent = async ({ amount, currency, metadata }) => {
+  const intent = await getClient().paymentIntents.create({
+    amount,
+    currency,
+    metadata,
+    automatic_payment_methods: { enabled: true },
+  });
+
+  return {
+    id: intent.id,
+    clientSecret: intent.client_secret,
+    status: intent.status,
+  };
+};
+
+exports.refund = async ({ paymentIntentId, amount, metadata }) => {
+  const refund = await getClient().refunds.create({
+    payment_intent: paymentIntentId,
+    amount,
+    reason: "requested_by_customer",
+    metadata,
+  });
+
+  return { id: refund.id, status: refund.status, amount: refund.amount };
+};
+
+// Verify the signature against the raw request body and normalize the event
+exports.parseWebhook = async (rawBody, signature) => {
+  let event;
+  try {
+    event = getClient().webhooks.constructEvent(
+      rawBody,
+      signature,
+      process.env.STRIPE_WEBHOOK_SECRET
+    );
+  } catch (err) {
+    throw new AppError("Webhook signature verification failed", 400);
+  }
+
+  // Card details are only available with the payment method expanded
+  const intent = event.data.object;
+  if (
+    event.type === "payment_intent.succeeded" &&
+    typeof intent.payment_method === "string"
+  ) {
+    intent.payment_method = await getClient().paymentMethods.retrieve(
+      intent.payment_method
+    );
+  }
+
+  return normalizeEvent(event);
+};
@@ -0,0 +1,67 @@
+const RateLimit = require("../models/RateLimitModel");
+
+/**
+ * express-rate-limit store that keeps its counters in MongoDB, so limits
+ * hold across every running instance of the app.
+ */
+class MongoStore {
+  constructor({ prefix = "rl:" } = {}) {
+    this.prefix = prefix;
+    this.localKeys = false;
+  }
+
+  init(options) {
+    this.windowMs = options.windowMs;
+  }
+
+  key(key) {
+    return `${this.prefix}${key}`;
+  }
+
+  async get(key) {
+    const doc = await RateLimit.findById(this.key(key));
+    if (!doc || doc.resetAt <= new Date()) return undefined;
+    return { totalHits: doc.hits, resetTime: doc.resetAt };
+  }
+
+  // Count a hit, starting a new window if the old one has ended. Done in one
+  // update so parallel requests on different instances all get counted.
+  async increment(key) {
+    const now = new Date();
+    const windowOpen = { $gt: ["$resetAt", now] };
+
+    const doc = await RateLimit.findOneAndUpdate(
+      { _id: this.key(key) },
+      [
+        {
+          $set: {
+            hits: { $cond: [windowOpen, { $add: ["$hits", 1] }, 1] },
+            resetAt: {
+              $cond: [
+                windowOpen,
+                "$resetAt",
+                new Date(now.getTime() + this.windowMs),
+              ],
+            },
+          },
+        },
+      ],
+      { new: true, upsert: true }
+    );
+
+    return { totalHits: doc.hits, resetTime: doc.resetAt };
+  }
+
+  async decrement(key) {
+    await RateLimit.updateOne(
+      { _id: this.key(key), hits: { $gt: 0 } },
+      { $inc: { hits: -1 } }
+    );
+  }
+
+  async resetKey(key) {
+    await RateLimit.deleteOne({ _id: this.key(key) });
+  }
+}
+
+module.exports = MongoStore;
@@ -0,0 +1,71 @@
+const crypto = require("crypto");
+const rateLimit = require("express-rate-limit");
+const AppError = require("./appError");
+const MongoStore = require("./rateLimitStore");
+const { verifyLoginToken } = require("./twoFactor");
+
+const setting = (name, fallback) => Number(process.env[name]) || fallback;
+
+const getWindowMs = () =>
+  setting("AUTH_RATE_LIMIT_WINDOW_MINUTES", 15) * 60 * 1000;
+
+// Per account: the email address (or reset token) the request is about,
+// falling back to the client's IP when there isn't one
+const accountKey = (req) => {
+  if (req.params.token) {
+    return crypto.createHash("sha256").update(req.params.token).digest("hex");
+  }
+  const email = req.body && req.body.email;
+  return typeof email === "string" && email.trim()
+    ? email.trim().toLowerCase()
+    : req.ip;
+};
+
+// Per account for the second login step: the user the login token is for
+const loginTokenKey = (req) =>
+  verifyLoginToken(req.body && req.body.loginToken) || req.ip;
+
+const createLimiter = ({ prefix, limit, keyGenerator, ...options }) =>
+  rateLimit({
+    windowMs: getWindowMs(),
+    limit,
+    keyGenerator,
+    standardHeaders: "draft-7",
+    legacyHeaders: false,
+    store: new MongoStore({ prefix }),
+    handler: (req, res, next) =>
+      next(
+        new AppError(
+          "Too many attempts. Please wait a few minutes and try again.",
+          429
+        )
+      ),
+    ...options,
+  });
+
+// Throttle an auth endpoint per client IP and per account. Only failed
+// attempts count when skipSuccessfulRequests is set.
+const authLimiters = (
+  name,
+  { skipSuccessfulRequests = false, keyGenerator = accountKey } = {}
+) => [
+  createLimiter({
+    prefix: `auth:${name}:ip:`,
+    limit: setting("AUTH_RATE_LIMIT_PER_IP", 20),
+    skipSuccessfulRequests,
+  }),
+  createLimiter({
+    prefix: `auth:${name}:account:`,
+    limit: setting("AUTH_RATE_LIMIT_PER_ACCOUNT", 10),
+    keyGenerator,
+    skipSuccessfulRequests,
+  }),
+];
+
+exports.loginLimiter = authLimiters("login", { skipSuccessfulRequests: true });
+exports.forgotPasswordLimiter = authLimiters("forgotPassword");
+exports.resetPasswordLimiter = authLimiters("resetPassword");
+exports.twoFactorLimiter = authLimiters("twoFactor", {
+  skipSuccessfulRequests: true,
+  keyGenerator: loginTokenKey,
+});
@@ -0,0 +1,126 @@
+const mongoose = require("mongoose");
+const Invoice = require("../models/InvoiceModel");
+const CreditNote = require("../models/CreditNoteModel");
+const AppError = require("./appError");
+const { getProvider } = require("./payments");
+const { nextNumber } = require("./invoiceNumbering");
+
+// Amounts are in pounds; allow for floating point when comparing totals
+const EPSILON = 0.001;
+
+const getCreditNotePrefix = () => process.env.CREDIT_NOTE_PREFIX || "CN";
+
+// Atomically add to the refunded total unless it would exceed the amount
+// paid, so two refunds at once can't refund more than was taken
+const reserveRefund = (invoiceId, amount) =>
+  Invoice.findOneAndUpdate(
+    {
+      _id: invoiceId,
+      status: "paid",
+      $expr: {
+        $lte: [
+          { $add: ["$amountRefunded", amount] },
+          { $add: ["$amount", EPSILON] },
+        ],
+      },
+    },
+    { $inc: { amountRefunded: amount } },
+    { new: true }
+  );
+
+const releaseRefund = (invoiceId, amount) =>
+  Invoice.updateOne({ _id: invoiceId }, { $inc: { amountRefunded: -amount } });
+
+/**
+ * Refund all or part of a paid invoice through the payment provider and
+ * issue a credit note for it. The invoice moves to "refunded" once the full
+ * amount has been returned. Resolves to { invoice, creditNote }.
+ */
+exports.refundInvoice = async ({ invoice, amount, reason, actor }) => {
+  if (invoice.status !== "paid") {
+    throw new AppError(`A ${invoice.status} invoice cannot be refunded`, 409);
+  }
+  if (!invoice.stripePaymentIntentId) {
+    throw new AppError(
+      "This invoice was not paid through the payment provider",
+      409
+    );
+  }
+  if (!reason) {
+    throw new AppError("Please provide a reason for the refund", 400);
+  }
+
+  const refundAmount =
+    amount === undefined
+      ? invoice.refundableAmount
+      : Math.round(Number(amount) * 100) / 100;
+  if (!(refundAmount > 0)) {
+    throw new AppError("Refund amount must be more than 0", 400);
+  }
+
+  const reserved = await reserveRefund(invoice._id, refundAmount);
+  if (!reserved) {
+    throw new AppError(
+      `Refund amount cannot be more than the ${invoice.refundableAmount} still refundable`,
+      409
+    );
+  }
+
+  let refund;
+  try {
+    refund = await getProvider().refund({
+      paymentIntentId: invoice.stripePaymentIntentId,
+      amount: Math.round(refundAmount * 100),
+      metadata: {
+        invoiceId: String(invoice._id),
+        invoiceNumber: invoice.invoiceNumber,
+      },
+    });
+  } catch (err) {
+    await releaseRefund(invoice._id, refundAmount);
+    throw err;
+  }
+
+  try {
+    let creditNote;
+    await mongoose.connection.transaction(async (session) => {
+      [creditNote] = await CreditNote.create(
+        [
+          {
+            creditNoteNumber: await nextNumber(getCreditNotePrefix(), session),
+            invoiceId: invoice._id,
+            customerId: invoice.customerId,
+            amount: refundAmount,
+            currency: invoice.currency,
+            reason,
+            refundId: refund.id,
+            refundStatus: refund.status,
+            issuedBy: actor && actor._id,
+          },
+        ],
+        { session }
+      );
+
+      await Invoice.updateOne(
+        {
+          _id: invoice._id,
+          $expr: {
+            $gte: ["$amountRefunded", { $subtract: ["$amount", EPSILON] }],
+          },
+        },
+        { status: "refunded", refundedDate: new Date() },
+        { session }
+      );
+    });
+
+    return { invoice: await Invoice.findById(invoice._id), creditNote };
+  } catch (err) {
+    // The money has gone back to the customer; the credit note must be
+    // raised by hand with these details
+    console.error(
+      `Refund ${refund.id} of ${refundAmount} on invoice ${invoice._id} succeeded but the credit note failed:`,
+      err
+    );
+    throw err;
+  }
+};
@@ -0,0 +1,69 @@
+const AppError = require("./appError");
+
+const STATUSES = [
+  "pending",
+  "assigned",
+  "in-progress",
+  "completed",
+  "cancelled",
+];
+
+// Allowed status changes and the roles that may perform each one.
+// "system" covers changes made by the backend itself (e.g. auto-assignment).
+const TRANSITIONS = {
+  pending: {
+    assigned: ["admin", "system"],
+    cancelled: ["customer", "admin"],
+  },
+  assigned: {
+    assigned: ["admin", "system"], // re-assignment to another engineer
+    pending: ["engineer", "admin"], // engineer declines / admin unassigns
+    "in-progress": ["engineer", "admin"],
+    cancelled: ["customer", "admin"],
+  },
+  "in-progress": {
+    completed: ["engineer", "admin"],
+    cancelled: ["admin"],
+  },
+  completed: {},
+  cancelled: {},
+};
+
+const canTransition = (from, to) =>
+  Boolean(TRANSITIONS[from] && TRANSITIONS[from][to]);
+
+const allowedNextStatuses = (from) => Object.keys(TRANSITIONS[from] || {});
+
+// Throws an AppError when `role` may not move a request from `from` to `to`
+const assertTransition = (from, to, role) => {
+  if (!STATUSES.includes(to)) {
+    throw new AppError(`Invalid status: ${to}`, 400);
+  }
+
+  if (!canTransition(from, to)) {
+    const allowed = allowedNextStatuses(from);
+    throw new AppError(
+      `Cannot change status from ${from} to ${to}. ${
+        allowed.length
+          ? `Allowed next statuses: ${allowed.join(", ")}`
+          : `A ${from} request cannot be changed`
+      }`,
+      409
+    );
+  }
+
+  if (!TRANSITIONS[from][to].includes(role)) {
+    throw new AppError(
+      `A ${role} is not allowed to change status from ${from} to ${to}`,
+      403
+    );
+  }
+};
+
+module.exports = {
+  STATUSES,
+  TRANSITIONS,
+  canTransition,
+  allowedNextStatuses,
+  assertTransition,
+};
@@ -0,0 +1,43 @@
+// Minimal in-process job runner. Each job runs on a fixed interval and never
+// overlaps itself; jobs must be safe to run on several app instances at once.
+
+const jobs = new Map();
+
+const runJob = async (job) => {
+  if (job.running) return;
+  job.running = true;
+  try {
+    await job.fn(new Date());
+  } catch (err) {
+    console.error(`Scheduled job "${job.name}" failed:`, err);
+  } finally {
+    job.running = false;
+  }
+};
+
+/**
+ * Run `fn` every `intervalMs`, starting shortly after the app boots.
+ * Scheduling the same name again replaces the previous job.
+ */
+const scheduleJob = (name, intervalMs, fn) => {
+  stopJob(name);
+
+  const job = { name, fn, running: false };
+  job.timer = setInterval(() => runJob(job), intervalMs);
+  job.timer.unref();
+  job.startup = setTimeout(() => runJob(job), 10 * 1000);
+  job.startup.unref();
+
+  jobs.set(name, job);
+  return job;
+};
+
+const stopJob = (name) => {
+  const job = jobs.get(name);
+  if (!job) return;
+  clearInterval(job.timer);
+  clearTimeout(job.startup);
+  jobs.delete(name);
+};
+
+module.exports = { scheduleJob, stopJob };
@@ -0,0 +1,241 @@
+const User = require("../models/UserModel");
+const Booking = require("../models/BookingModel");
+const Counter = require("../models/CounterModel");
+const AppError = require("./appError");
+const { getOutcode } = require("./geocoding");
+
+// Used for engineers who haven't published their own working hours
+const DEFAULT_WORKING_HOURS = [1, 2, 3, 4, 5].map((day) => ({
+  day,
+  startTime: "08:00",
+  endTime: "18:00",
+}));
+
+const DEFAULT_DURATION_MINUTES = 120;
+const DEFAULT_SLOT_MINUTES = 60;
+const MAX_SLOT_RANGE_DAYS = 14;
+const MAX_BOOKING_ATTEMPTS = 3;
+
+// All times are in the server's local time, like preferredTime. index.js
+// refuses to start unless that is UK time (TZ=Europe/London).
+const atTime = (date, time) => {
+  const [hours, minutes] = time.split(":").map(Number);
+  const result = new Date(date);
+  result.setHours(hours, minutes, 0, 0);
+  return result;
+};
+
+const addMinutes = (date, minutes) =>
+  new Date(date.getTime() + minutes * 60 * 1000);
+
+const overlaps = (a, b) => a.start < b.end && b.start < a.end;
+
+const getWorkingHours = (engineer) => {
+  const profile = engineer.engineerProfile || {};
+  return profile.workingHours && profile.workingHours.length
+    ? profile.workingHours
+    : DEFAULT_WORKING_HOURS;
+};
+
+// The engineer's working windows on the day of `date`
+const workingWindowsOn = (engineer, date) =>
+  getWorkingHours(engineer)
+    .filter((hours) => hours.day === new Date(date).getDay())
+    .map((hours) => ({
+      start: atTime(date, hours.startTime),
+      end: atTime(date, hours.endTime),
+    }));
+
+const isWithinWorkingHours = (engineer, start, end) =>
+  workingWindowsOn(engineer, start).some(
+    (window) => window.start <= start && end <= window.end
+  );
+
+const isOnTimeOff = (engineer, start, end) => {
+  const profile = engineer.engineerProfile || {};
+  return (profile.timeOff || []).some((timeOff) =>
+    overlaps(timeOff, { start, end })
+  );
+};
+
+const otherRequests = (bookings, requestId) =>
+  bookings.filter((booking) => String(booking.requestId) !== String(requestId));
+
+/**
+ * Whether the engineer is working, not on time off and not booked between
+ * `start` and `end`, given their active bookings (loaded by the caller, e.g.
+ * with Booking.findOverlapping for several engineers at once). Bookings for
+ * `ignoreRequestId` don't count.
+ */
+const isEngineerFree = (engineer, start, end, bookings, ignoreRequestId) => {
+  if (!isWithinWorkingHours(engineer, start, end)) return false;
+  if (isOnTimeOff(engineer, start, end)) return false;
+
+  const clashes = bookings.filter((booking) =>
+    overlaps(booking, { start, end })
+  );
+  return otherRequests(clashes, ignoreRequestId).length === 0;
+};
+
+const engineerBooked = () =>
+  new AppError("The engineer is already booked at that time", 409);
+
+// Book the engineer if nothing overlaps. Every booking moves the engineer's
+// schedule counter on from the value it read before checking, so of two
+// bookings made at the same moment only one is kept; the other checks again.
+const bookIfFree = async (engineer, request, start, end) => {
+  const schedule = `schedule:${engineer._id}`;
+
+  for (let attempt = 1; attempt <= MAX_BOOKING_ATTEMPTS; attempt += 1) {
+    const version = await Counter.current(schedule);
+
+    const existing = await Booking.findOverlapping(engineer._id, start, end);
+    if (otherRequests(existing, request._id).length) throw engineerBooked();
+
+    const booking = await Booking.create({
+      engineerId: engineer._id,
+      requestId: request._id,
+      start,
+      end,
+    });
+    if (await Counter.advanceFrom(schedule, version)) return booking;
+
+    await Booking.deleteOne({ _id: booking._id });
+  }
+
+  throw new AppError(
+    "The engineer's schedule is changing. Please try again.",
+    409
+  );
+};
+
+/**
+ * Reserve the engineer's time for a request, replacing any earlier booking
+ * for the same request. Rejects with a 409 when the engineer isn't free.
+ */
+const reserveSlot = async (request, engineer, start, durationMinutes) => {
+  const duration = durationMinutes || DEFAULT_DURATION_MINUTES;
+  const startDate = new Date(start);
+  const end = addMinutes(startDate, duration);
+
+  if (Number.isNaN(startDate.getTime())) {
+    throw new AppError("Please provide a valid scheduled date", 400);
+  }
+  if (!isWithinWorkingHours(engineer, startDate, end)) {
+    throw new AppError("The engineer is not working at that time", 409);
+  }
+  if (isOnTimeOff(engineer, startDate, end)) {
+    throw new AppError("The engineer is on time off at that time", 409);
+  }
+
+  const booking = await bookIfFree(engineer, request, startDate, end);
+
+  await Booking.updateMany(
+    { requestId: request._id, status: "active", _id: { $ne: booking._id } },
+    { status: "released" }
+  );
+
+  return booking;
+};
+
+const releaseSlot = (requestId) =>
+  Booking.updateMany({ requestId, status: "active" }, { status: "released" });
+
+// Give back a booking made for an assignment that then failed
+const releaseBooking = (booking) =>
+  Booking.updateOne(
+    { _id: booking._id, status: "active" },
+    { status: "released" }
+  );
+
+/**
+ * Bookable slots between two dates, with how many suitable engineers are
+ * free for each one. Engineer identities are not exposed.
+ */
+const getBookableSlots = async ({ from, to, skill, postcode, duration }) => {
+  const slotMinutes = duration * 1 || DEFAULT_SLOT_MINUTES;
+  const rangeStart = new Date(from);
+  const rangeEnd = to ? new Date(to) : new Date(from);
+
+  if (Number.isNaN(rangeStart.getTime()) || Number.isNaN(rangeEnd.getTime())) {
+    throw new AppError("Please provide valid from and to dates", 400);
+  }
+  rangeStart.setHours(0, 0, 0, 0);
+  rangeEnd.setHours(23, 59, 59, 999);
+
+  const days = Math.ceil((rangeEnd - rangeStart) / (24 * 60 * 60 * 1000));
+  if (days < 1 || days > MAX_SLOT_RANGE_DAYS) {
+    throw new AppError(
+      `Date range must be between 1 and ${MAX_SLOT_RANGE_DAYS} days`,
+      400
+    );
+  }
+
+  const filter = {};
+  if (skill) filter["engineerProfile.skills"] = skill.trim().toLowerCase();
+  if (postcode) {
+    const outcode = getOutcode(postcode);
+    if (!outcode) throw new AppError("Please provide a valid UK postcode", 400);
+    filter["engineerProfile.serviceAreas"] = outcode;
+  }
+
+  const engineers = await User.findDispatchable(filter);
+  const bookings = await Booking.findOverlapping(
+    engineers.map((engineer) => engineer._id),
+    rangeStart,
+    rangeEnd
+  );
+
+  const now = new Date();
+  const slots = new Map();
+
+  for (let day = 0; day < days; day += 1) {
+    const date = new Date(rangeStart);
+    date.setDate(date.getDate() + day);
+
+    engineers.forEach((engineer) => {
+      const engineerBookings = bookings.filter(
+        (booking) => String(booking.engineerId) === String(engineer._id)
+      );
+
+      workingWindowsOn(engineer, date).forEach((window) => {
+        for (
+          let start = window.start;
+          addMinutes(start, slotMinutes) <= window.end;
+          start = addMinutes(start, slotMinutes)
+        ) {
+          const slot = { start, end: addMinutes(start, slotMinutes) };
+          if (
+            slot.start < now ||
+            isOnTimeOff(engineer, slot.start, slot.end) ||
+            engineerBookings.some((booking) => overlaps(booking, slot))
+          ) {
+            continue;
+          }
+
+          const key = slot.start.toISOString();
+          if (!slots.has(key)) {
+            slots.set(key, { ...slot, availableEngineers: 0 });
+          }
+          slots.get(key).availableEngineers += 1;
+        }
+      });
+    });
+  }
+
+  return [...slots.values()].sort((a, b) => a.start - b.start);
+};
+
+module.exports = {
+  DEFAULT_WORKING_HOURS,
+  DEFAULT_DURATION_MINUTES,
+  addMinutes,
+  atTime,
+  isWithinWorkingHours,
+  isOnTimeOff,
+  isEngineerFree,
+  reserveSlot,
+  releaseSlot,
+  releaseBooking,
+  getBookableSlots,
+};
@@ -0,0 +1,7 @@
+// Development provider: prints messages instead of sending them
+exports.name = "console";
+
+exports.send = async ({ to, body }) => {
+  console.log(`SMS to ${to}: ${body}`);
+  return { id: `console-${Date.now()}` };
+};
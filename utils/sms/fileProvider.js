@@ -0,0 +1,21 @@
+const fs = require("fs");
+const path = require("path");
+
+// Development/test provider: appends each message as a JSON line to
+// SMS_LOG_FILE (logs/sms.log by default)
+exports.name = "file";
+
+const getLogFile = () =>
+  process.env.SMS_LOG_FILE || path.join(__dirname, "../../logs/sms.log");
+
+exports.send = async ({ to, body }) => {
+  const file = getLogFile();
+  const id = `file-${Date.now()}`;
+
+  await fs.promises.mkdir(path.dirname(file), { recursive: true });
+  await fs.promises.appendFile(
+    file,
+    `${JSON.stringify({ id, to, body, sentAt: new Date().toISOString() })}\n`
+  );
+  return { id };
+};
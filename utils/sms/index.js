@@ -0,0 +1,35 @@
+const consoleProvider = require("./consoleProvider");
+const fileProvider = require("./fileProvider");
+
+const providers = {
+  console: consoleProvider,
+  file: fileProvider,
+};
+
+// Add a provider (e.g. a real SMS gateway) selectable through SMS_PROVIDER.
+// Providers expose send({ to, body }) -> { id }
+const registerProvider = (name, provider) => {
+  providers[name] = provider;
+};
+
+// Providers that only record messages locally, for development
+const localProviders = [consoleProvider, fileProvider];
+
+const getProvider = () => {
+  const name = process.env.SMS_PROVIDER;
+  if (!name) throw new Error("No SMS provider configured (SMS_PROVIDER)");
+  const provider = providers[name];
+  if (!provider) throw new Error(`Unknown SMS provider: ${name}`);
+  // They would write every verification code to the server's logs
+  if (
+    localProviders.includes(provider) &&
+    process.env.NODE_ENV === "production"
+  ) {
+    throw new Error(`The ${name} SMS provider cannot be used in production`);
+  }
+  return provider;
+};
+
+const sendSms = (to, body) => getProvider().send({ to, body });
+
+module.exports = { registerProvider, getProvider, sendSms };
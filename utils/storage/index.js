@@ -0,0 +1,74 @@
+const path = require("path");
+const localDriver = require("./localDriver");
+const s3Driver = require("./s3Driver");
+
+const drivers = {
+  local: localDriver,
+  s3: s3Driver,
+};
+
+const DEFAULT_SIGNED_URL_SECONDS = 5 * 60;
+
+/**
+ * Add a driver selectable through STORAGE_DRIVER ("local" or "s3" built in).
+ * Keys look like "uploads/logos/a.png" (public) or
+ * "private/documents/<owner id>/a.pdf". Every driver exposes:
+ *  - save(key, stream, { contentType })
+ *  - read(key) -> { stream, size, contentType } or null
+ *  - remove(key) -> whether a file was removed
+ *  - publicUrl(key) / keyFromUrl(url) for public files
+ *  - signedUrl(key, { expiresIn, filename }) -> short-lived download URL
+ */
+const registerDriver = (name, driver) => {
+  drivers[name] = driver;
+};
+
+const getDriver = () => {
+  const name = process.env.STORAGE_DRIVER || "local";
+  const driver = drivers[name];
+  if (!driver) throw new Error(`Unknown storage driver: ${name}`);
+  return driver;
+};
+
+const isPrivateKey = (key) => String(key).startsWith("private/");
+
+// A private key, normalized, or null if it isn't one (e.g. "private/../x")
+const parsePrivateKey = (key) => {
+  const normalized = path.posix.normalize(String(key || ""));
+  return isPrivateKey(normalized) && normalized === key ? normalized : null;
+};
+
+// The user a private file was uploaded by ("private/<folder>/<owner id>/...")
+const getOwnerId = (key) => String(key).split("/")[2];
+
+// What gets stored in the database for a file: the URL of a public file, or
+// the key of a private one (see signedUrl)
+const referenceFor = (key) =>
+  isPrivateKey(key) ? key : getDriver().publicUrl(key);
+
+const keyFromReference = (reference) =>
+  isPrivateKey(reference) ? reference : getDriver().keyFromUrl(reference);
+
+const getSignedUrlSeconds = () =>
+  Number(process.env.SIGNED_URL_EXPIRES_SECONDS) || DEFAULT_SIGNED_URL_SECONDS;
+
+// A short-lived download URL for a private file. Resolves to { url, expiresAt }.
+const signedUrl = async (key) => {
+  const expiresIn = getSignedUrlSeconds();
+  const url = await getDriver().signedUrl(key, {
+    expiresIn,
+    filename: path.posix.basename(key),
+  });
+  return { url, expiresAt: new Date(Date.now() + expiresIn * 1000) };
+};
+
+module.exports = {
+  registerDriver,
+  getDriver,
+  isPrivateKey,
+  parsePrivateKey,
+  getOwnerId,
+  referenceFor,
+  keyFromReference,
+  signedUrl,
+};
@@ -0,0 +1,74 @@
+const fs = require("fs");
+const path = require("path");
+const { pipeline } = require("stream/promises");
+const { sign } = require("./signing");
+
+// Files on this server's disk. Public keys ("uploads/...") live under public/
+// and are served by express.static; private keys ("private/...") live under
+// STORAGE_PRIVATE_DIR (storage/ by default) and are only reachable through
+// signed links to /files/download.
+exports.name = "local";
+
+const publicRoot = path.join(__dirname, "../../public");
+const getPrivateRoot = () =>
+  process.env.STORAGE_PRIVATE_DIR || path.join(__dirname, "../../storage");
+
+// Absolute path for a key, refusing anything that escapes its root
+const resolve = (key) => {
+  const root = key.startsWith("private/") ? getPrivateRoot() : publicRoot;
+  const fullPath = path.resolve(root, key);
+  if (!fullPath.startsWith(path.resolve(root) + path.sep)) {
+    throw new Error(`Invalid storage key: ${key}`);
+  }
+  return fullPath;
+};
+
+exports.save = async (key, stream) => {
+  const fullPath = resolve(key);
+  await fs.promises.mkdir(path.dirname(fullPath), { recursive: true });
+  try {
+    await pipeline(stream, fs.createWriteStream(fullPath));
+  } catch (err) {
+    // Don't leave half-written files behind
+    await fs.promises.rm(fullPath, { force: true });
+    throw err;
+  }
+};
+
+// Resolves to { stream, size }, or null if there is no such file
+exports.read = async (key) => {
+  const fullPath = resolve(key);
+  try {
+    const stats = await fs.promises.stat(fullPath);
+    return { stream: fs.createReadStream(fullPath), size: stats.size };
+  } catch (err) {
+    if (err.code === "ENOENT") return null;
+    throw err;
+  }
+};
+
+// Resolves to whether a file was removed
+exports.remove = async (key) => {
+  try {
+    await fs.promises.unlink(resolve(key));
+    return true;
+  } catch (err) {
+    if (err.code === "ENOENT") return false;
+    throw err;
+  }
+};
+
+// Paths are relative to the API root, like before storage drivers existed
+exports.publicUrl = (key) => `/${key}`;
+
+exports.keyFromUrl = (url) => String(url).replace(/^\//, "");
+
+exports.signedUrl = async (key, { expiresIn }) => {
+  const expires = Math.floor(Date.now() / 1000) + expiresIn;
+  const query = new URLSearchParams({
+    key,
+    expires: String(expires),
+    signature: sign(key, expires),
+  });
+  return `/files/download?${query}`;
+};
@@ -0,0 +1,116 @@
+const {
+  S3Client,
+  GetObjectCommand,
+  DeleteObjectCommand,
+} = require("@aws-sdk/client-s3");
+const { Upload } = require("@aws-sdk/lib-storage");
+const { getSignedUrl } = require("@aws-sdk/s3-request-presigner");
+
+// Amazon S3 or any S3-compatible store (MinIO, R2, ...). Private files are
+// downloaded through presigned URLs; public ones ("uploads/...") need a bucket
+// policy allowing anonymous reads of that prefix.
+exports.name = "s3";
+
+let client;
+
+const getBucket = () => {
+  if (!process.env.S3_BUCKET) throw new Error("S3_BUCKET is not set");
+  return process.env.S3_BUCKET;
+};
+
+const getClient = () => {
+  if (!client) {
+    const credentials = process.env.S3_ACCESS_KEY_ID
+      ? {
+          accessKeyId: process.env.S3_ACCESS_KEY_ID,
+          secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+        }
+      : undefined;
+
+    client = new S3Client({
+      region: process.env.S3_REGION || "us-east-1",
+      endpoint: process.env.S3_ENDPOINT || undefined,
+      // MinIO and most self-hosted stores need path-style URLs
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE === "true",
+      credentials,
+    });
+  }
+  return client;
+};
+
+// For tests and config changes
+exports.resetClient = () => {
+  client = undefined;
+};
+
+// Where public objects are read from: S3_PUBLIC_URL (e.g. a CDN) if set
+const getPublicBase = () => {
+  if (process.env.S3_PUBLIC_URL) {
+    return process.env.S3_PUBLIC_URL.replace(/\/$/, "");
+  }
+  if (process.env.S3_ENDPOINT) {
+    return `${process.env.S3_ENDPOINT.replace(/\/$/, "")}/${getBucket()}`;
+  }
+  return `https://${getBucket()}.s3.${
+    process.env.S3_REGION || "us-east-1"
+  }.amazonaws.com`;
+};
+
+exports.save = async (key, stream, { contentType } = {}) => {
+  await new Upload({
+    client: getClient(),
+    params: {
+      Bucket: getBucket(),
+      Key: key,
+      Body: stream,
+      ContentType: contentType,
+    },
+  }).done();
+};
+
+exports.read = async (key) => {
+  try {
+    const object = await getClient().send(
+      new GetObjectCommand({ Bucket: getBucket(), Key: key })
+    );
+    return {
+      stream: object.Body,
+      size: object.ContentLength,
+      contentType: object.ContentType,
+    };
+  } catch (err) {
+    if (err.name === "NoSuchKey") return null;
+    throw err;
+  }
+};
+
+// S3 doesn't say whether the object existed, so this always resolves to true
+exports.remove = async (key) => {
+  await getClient().send(
+    new DeleteObjectCommand({ Bucket: getBucket(), Key: key })
+  );
+  return true;
+};
+
+exports.publicUrl = (key) => `${getPublicBase()}/${key}`;
+
+exports.keyFromUrl = (url) => {
+  const base = `${getPublicBase()}/`;
+  const value = String(url);
+  return value.startsWith(base)
+    ? value.slice(base.length)
+    : value.replace(/^\//, "");
+};
+
+exports.signedUrl = (key, { expiresIn, filename }) =>
+  getSignedUrl(
+    getClient(),
+    new GetObjectCommand({
+      Bucket: getBucket(),
+      Key: key,
+      ResponseContentDisposition: filename
+        ? `attachment; filename="${filename.replace(/"/g, "")}"`
+        : undefined,
+    }),
+    { expiresIn }
+  );
@@ -0,0 +1,26 @@
+const crypto = require("crypto");
+
+// HMAC signatures for download links served by this app (the local driver).
+// Keyed by FILE_URL_SECRET, falling back to JWT_SECRET.
+const getSecret = () => process.env.FILE_URL_SECRET || process.env.JWT_SECRET;
+
+const sign = (key, expires) =>
+  crypto
+    .createHmac("sha256", getSecret())
+    .update(`${key}:${expires}`)
+    .digest("hex");
+
+// Whether `signature` is valid for `key` and hasn't expired
+const verify = (key, expires, signature) => {
+  if (!key || !signature || !(Number(expires) > Date.now() / 1000)) {
+    return false;
+  }
+
+  const expected = Buffer.from(sign(key, expires));
+  const given = Buffer.from(String(signature));
+  return (
+    expected.length === given.length && crypto.timingSafeEqual(expected, given)
+  );
+};
+
+module.exports = { sign, verify };
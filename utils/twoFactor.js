@@ -0,0 +1,230 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const User = require("../models/UserModel");
+const AppError = require("./appError");
+const totp = require("./totp");
+
+const ISSUER = "Gas Plumbers";
+const RECOVERY_CODE_COUNT = 10;
+const LOGIN_TOKEN_MINUTES = 5;
+
+// Secrets are encrypted at rest with AES-256-GCM
+const encryptionKey = () =>
+  crypto
+    .createHash("sha256")
+    .update(process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET)
+    .digest();
+
+const encrypt = (text) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", encryptionKey(), iv);
+  const encrypted = Buffer.concat([
+    cipher.update(text, "utf8"),
+    cipher.final(),
+  ]);
+  return [iv, cipher.getAuthTag(), encrypted]
+    .map((part) => part.toString("base64"))
+    .join(".");
+};
+
+const decrypt = (payload) => {
+  const [iv, tag, encrypted] = payload
+    .split(".")
+    .map((part) => Buffer.from(part, "base64"));
+  const decipher = crypto.createDecipheriv("aes-256-gcm", encryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString(
+    "utf8"
+  );
+};
+
+const hashRecoveryCode = (code) =>
+  crypto
+    .createHash("sha256")
+    .update(String(code).replace(/[\s-]/g, "").toLowerCase())
+    .digest("hex");
+
+// e.g. "3f9a-c21b"; shown to the user once and only stored hashed
+const generateRecoveryCodes = () =>
+  Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const code = crypto.randomBytes(4).toString("hex");
+    return `${code.slice(0, 4)}-${code.slice(4)}`;
+  });
+
+const loadWithSecrets = (userId) => User.findById(userId).select("+twoFactor");
+
+// Roles listed in TWO_FACTOR_REQUIRED_ROLES (e.g. "admin,engineer") have to
+// use two-factor authentication
+const getRequiredRoles = () =>
+  (process.env.TWO_FACTOR_REQUIRED_ROLES || "")
+    .split(",")
+    .map((role) => role.trim())
+    .filter(Boolean);
+
+const isRequiredFor = (user) => getRequiredRoles().includes(user.role);
+
+const needsSetup = (user) => isRequiredFor(user) && !user.twoFactorEnabled;
+
+/**
+ * Check a TOTP code or, failing that, an unused recovery code. A TOTP code
+ * is only accepted once and a recovery code is used up. Resolves to "totp",
+ * "recovery" or null.
+ */
+const verifyCode = async (user, code) => {
+  if (!code) return null;
+
+  const doc = await loadWithSecrets(user._id);
+  if (!doc || !doc.twoFactorEnabled || !doc.twoFactor) return null;
+
+  const step = totp.verify(decrypt(doc.twoFactor.secret), code);
+  if (step !== null) {
+    const accepted = await User.updateOne(
+      {
+        _id: doc._id,
+        $or: [
+          { "twoFactor.lastUsedStep": { $lt: step } },
+          { "twoFactor.lastUsedStep": null },
+        ],
+      },
+      { "twoFactor.lastUsedStep": step }
+    );
+    return accepted.modifiedCount ? "totp" : null;
+  }
+
+  const hash = hashRecoveryCode(code);
+  const used = await User.updateOne(
+    { _id: doc._id, "twoFactor.recoveryCodes": hash },
+    { $pull: { "twoFactor.recoveryCodes": hash } }
+  );
+  return used.modifiedCount ? "recovery" : null;
+};
+
+const requireCode = async (user, code) => {
+  if (!(await verifyCode(user, code))) {
+    throw new AppError("Invalid authentication code", 401);
+  }
+};
+
+/**
+ * Start enrolment: store a new secret until it is confirmed with a code.
+ * Resolves to the secret and the otpauth:// URI to show as a QR code.
+ */
+const startSetup = async (user) => {
+  if (user.twoFactorEnabled) {
+    throw new AppError("Two-factor authentication is already enabled", 409);
+  }
+
+  const secret = totp.generateSecret();
+  await User.updateOne(
+    { _id: user._id },
+    { "twoFactor.pendingSecret": encrypt(secret) }
+  );
+
+  return {
+    secret,
+    otpauthUrl: totp.keyUri({ secret, account: user.email, issuer: ISSUER }),
+  };
+};
+
+// Finish enrolment with a code from the app. Resolves to the recovery codes.
+const enable = async (user, code) => {
+  const doc = await loadWithSecrets(user._id);
+
+  if (doc.twoFactorEnabled) {
+    throw new AppError("Two-factor authentication is already enabled", 409);
+  }
+  if (!doc.twoFactor || !doc.twoFactor.pendingSecret) {
+    throw new AppError("Please start two-factor setup first", 400);
+  }
+
+  const secret = decrypt(doc.twoFactor.pendingSecret);
+  const step = totp.verify(secret, code);
+  if (step === null) throw new AppError("Invalid authentication code", 401);
+
+  const recoveryCodes = generateRecoveryCodes();
+  await User.updateOne(
+    { _id: doc._id },
+    {
+      twoFactorEnabled: true,
+      twoFactor: {
+        secret: encrypt(secret),
+        recoveryCodes: recoveryCodes.map(hashRecoveryCode),
+        lastUsedStep: step,
+        enabledAt: new Date(),
+      },
+    }
+  );
+
+  return recoveryCodes;
+};
+
+const disable = async (user, code) => {
+  if (!user.twoFactorEnabled) {
+    throw new AppError("Two-factor authentication is not enabled", 400);
+  }
+  if (isRequiredFor(user)) {
+    throw new AppError(
+      `Two-factor authentication is required for ${user.role} accounts`,
+      403
+    );
+  }
+  await requireCode(user, code);
+
+  await User.updateOne(
+    { _id: user._id },
+    { twoFactorEnabled: false, $unset: { twoFactor: 1 } }
+  );
+};
+
+// Replace the recovery codes. Resolves to the new codes.
+const regenerateRecoveryCodes = async (user, code) => {
+  if (!user.twoFactorEnabled) {
+    throw new AppError("Two-factor authentication is not enabled", 400);
+  }
+  await requireCode(user, code);
+
+  const recoveryCodes = generateRecoveryCodes();
+  await User.updateOne(
+    { _id: user._id },
+    { "twoFactor.recoveryCodes": recoveryCodes.map(hashRecoveryCode) }
+  );
+  return recoveryCodes;
+};
+
+// Admin reset for users who have lost their authenticator and codes
+const reset = (userId) =>
+  User.findByIdAndUpdate(
+    userId,
+    { twoFactorEnabled: false, $unset: { twoFactor: 1 } },
+    { new: true }
+  );
+
+// Short-lived token proving the password step of a two-step login
+const signLoginToken = (user) =>
+  jwt.sign({ id: user._id, purpose: "2fa" }, process.env.JWT_SECRET, {
+    expiresIn: `${LOGIN_TOKEN_MINUTES}m`,
+  });
+
+// The user ID from a login token, or null if it isn't valid
+const verifyLoginToken = (token) => {
+  try {
+    const decoded = jwt.verify(String(token || ""), process.env.JWT_SECRET);
+    return decoded.purpose === "2fa" ? decoded.id : null;
+  } catch (err) {
+    return null;
+  }
+};
+
+module.exports = {
+  getRequiredRoles,
+  isRequiredFor,
+  needsSetup,
+  verifyCode,
+  startSetup,
+  enable,
+  disable,
+  regenerateRecoveryCodes,
+  reset,
+  signLoginToken,
+  verifyLoginToken,
+};